@@ -0,0 +1,53 @@
+#!/bin/sh
+# Generates small local HLS and DASH fixtures (two video renditions plus audio,
+# fMP4 segments) for exercising the adaptive streaming path without a CDN.
+#
+#   sh fixtures/streams/make-fixtures.sh
+#   python3 -m http.server 8000
+#   open http://localhost:8000/?catalog=fixtures/catalog.streams.json
+#
+# node server/party-server.mjs serves them too, at http://localhost:8080.
+#
+# Throttling the network in devtools makes the rendition label switch
+# between 360p and 720p.
+set -e
+
+DURATION=${DURATION:-20}
+OUT=$(cd "$(dirname "$0")" && pwd)
+
+SOURCES="-f lavfi -i testsrc2=size=1280x720:rate=30:duration=$DURATION
+  -f lavfi -i sine=frequency=440:duration=$DURATION"
+SCALE="[0:v]split=2[a][b];[a]scale=640:360[v360];[b]scale=1280:720[v720]"
+# fixed 2s GOPs so every rendition has aligned segment boundaries
+VIDEO="-c:v libx264 -preset veryfast -profile:v main -g 60 -keyint_min 60 -sc_threshold 0
+  -b:v:0 600k -maxrate:v:0 700k -bufsize:v:0 1200k
+  -b:v:1 2500k -maxrate:v:1 2800k -bufsize:v:1 5000k"
+AUDIO="-c:a aac -b:a 96k -ac 2"
+
+rm -rf "$OUT/hls" "$OUT/dash"
+mkdir -p "$OUT/hls/360p" "$OUT/hls/720p" "$OUT/dash"
+
+# shellcheck disable=SC2086
+ffmpeg -hide_banner -loglevel warning -y $SOURCES \
+  -filter_complex "$SCALE" \
+  -map "[v360]" -map 1:a -map "[v720]" -map 1:a \
+  $VIDEO $AUDIO \
+  -f hls -hls_time 2 -hls_playlist_type vod -hls_segment_type fmp4 \
+  -hls_fmp4_init_filename init.mp4 \
+  -hls_segment_filename "$OUT/hls/%v/seg_%03d.m4s" \
+  -master_pl_name master.m3u8 \
+  -var_stream_map "v:0,a:0,name:360p v:1,a:1,name:720p" \
+  "$OUT/hls/%v/index.m3u8"
+
+# shellcheck disable=SC2086
+ffmpeg -hide_banner -loglevel warning -y $SOURCES \
+  -filter_complex "$SCALE" \
+  -map "[v360]" -map "[v720]" -map 1:a \
+  $VIDEO $AUDIO \
+  -f dash -seg_duration 2 -use_template 1 -use_timeline 0 \
+  -init_seg_name 'init-$RepresentationID$.m4s' \
+  -media_seg_name 'chunk-$RepresentationID$-$Number%05d$.m4s' \
+  -adaptation_sets "id=0,streams=v id=1,streams=a" \
+  "$OUT/dash/manifest.mpd"
+
+echo "Fixtures written to $OUT/hls and $OUT/dash"
@@ -2,32 +2,103 @@
 
 import * as THREE from "https://unpkg.com/three@0.161.0/build/three.module.js";
 import { VRButton } from "https://unpkg.com/three@0.161.0/examples/jsm/webxr/VRButton.js";
+import { ARButton } from "https://unpkg.com/three@0.161.0/examples/jsm/webxr/ARButton.js";
+
+// Streaming engines are only fetched the first time an HLS / DASH source loads
+const HLS_MODULE_URL = "https://unpkg.com/hls.js@1.5.20/dist/hls.mjs";
+const DASH_MODULE_URL = "https://unpkg.com/dashjs@5.2.1/dist/modern/esm/dash.all.min.js";
+// Imports the bare "three" specifier, so it needs an import map (see
+// index.html); loaded on its own so a page without one only loses the hand
+// meshes, not the whole app.
+const HAND_MODEL_MODULE_URL =
+  "https://unpkg.com/three@0.161.0/examples/jsm/webxr/XRHandModelFactory.js";
+// dash.js error codes that end playback (no MediaSource / MediaKeys, key
+// system denied). Manifest load / parse failures (10, 11) only count before
+// the first frame; later they are live-manifest refreshes the player
+// retries, like fragment downloads and time sync.
+const DASH_FATAL_ERROR_CODES = [23, 24, 112];
+const DASH_MANIFEST_ERROR_CODES = [10, 11];
 
 // ------- Helper logging & error reporting -------
 const overlayError = document.getElementById("overlay-error");
+const a11yStatus = document.getElementById("a11y-status");
+const a11yAlert = document.getElementById("a11y-alert");
 function log(stage, msg) {
   console.log(`[VibeSphere][${stage}] ${msg}`);
 }
 function reportError(stage, error) {
   console.error(`[VibeSphere ERROR][${stage}]`, error);
+  const msg = error?.message || String(error);
   if (overlayError) {
-    const msg = error?.message || String(error);
     overlayError.textContent = `⚠ ${stage}: ${msg}`;
   }
+  announce(`Error: ${stage}: ${msg}`, true);
+  emit("error", { stage, error });
+}
+// Screen-reader announcement through the ARIA live regions in index.html.
+// Cleared first so repeating the same message is still read out.
+function announce(message, urgent = false) {
+  const region = urgent ? a11yAlert : a11yStatus;
+  if (!region) return;
+  region.textContent = "";
+  setTimeout(() => {
+    region.textContent = message;
+  }, 30);
+}
+// Page-level listeners are tied to the instance lifecycle, so destroy()
+// removes them all at once. Missing elements (an embed without the demo UI)
+// are skipped.
+function listen(target, type, handler, options = {}) {
+  if (!target) return;
+  const opts = typeof options === "boolean" ? { capture: options } : options;
+  target.addEventListener(type, handler, { ...opts, signal: lifecycle.signal });
+}
+// Events for the embedding page (see createVibeSphere).
+function emit(type, detail = {}) {
+  instance?.dispatchEvent(new CustomEvent(type, { detail }));
 }
 
 
 // ------- Globals -------
 let scene, camera, renderer;
+let stageGroup; // screen, panels and in-scene UI; moved as one when placed in AR
 let panelGroup;
 let panels = [];
-let curvedScreen;
+let curvedScreen; // group holding one mesh (mono) or one mesh per eye (stereo)
+let sphereScreen; // same, for 180° / 360° equirectangular projection
+let screenMaterial;
+let roomGroup;
+let roomParts = null; // { floor, backWall, glow, strips }, restyled per environment
+let hemiLight, dirLight;
+let captionMesh;
+let captionTracks = []; // [{ lang, label, track }] for the current video
+let activeCaptionTrack = null;
+let captionsEnabled = false;
+let preferredCaptionLang = null;
 let videoTexture;
 let htmlVideo;
 let currentItem = null;
 let currentPlaylistId = null;
 let currentPlaylistIndex = 0;
+let currentEntry = null; // playlist entry (or { url } for a manual URL) now on screen
+let currentSourceUrl = null;
 let audioEnabled = false;
+let hoveredPanel = null; // any hoverable mesh: category panel or control button
+let keyboardPanel = null; // panel focused with Tab while the canvas has focus
+let hoveredHit = null; // raycast intersection for hoveredPanel (uv for the timeline)
+let controlBar;
+let controlButtons = []; // every in-scene button (control bar, queue list, ...)
+let queueList3D;
+let streamPlayer = null; // { type: "hls" | "dash", instance } while an MSE source is attached
+let streamLoadToken = 0;
+
+// ----- Embedding (one live instance at a time, see createVibeSphere) -----
+let instance = null; // the EventTarget handed to the embedding page
+let hostContainer = document.body; // element the canvas and video live in
+let instanceOptions = {};
+let lifecycle = new AbortController(); // aborted by destroy(); ends every listen()
+let xrButtons = [];
+let resizeObserver = null;
 
 
 
@@ -37,73 +108,410 @@ const controllers = [];
 const tmpMatrix = new THREE.Matrix4();
 const origin = new THREE.Vector3();
 const direction = new THREE.Vector3();
+const tmpQuat = new THREE.Quaternion();
+const tmpScale = new THREE.Vector3();
+
+// ----- Catalog (loaded from a JSON manifest, see catalog.json) -----
+const DEFAULT_CATALOG_URL = "./catalog.json";
+const DEFAULT_PANEL_COLOR = 0x7b8bff;
+const STREAM_TYPES = ["progressive", "hls", "dash"];
+
+// ----- Screen shape (overridable with ?screenRadius= and ?screenArc=) -----
+const screenSettings = {
+  radius: 3.2, // metres from the centre of curvature to the screen surface
+  arcDegrees: 70, // horizontal angle the screen wraps through
+  maxHeight: 2.2, // tall videos shrink the arc instead of growing past this
+  bottom: 1.5, // world height of the lower edge (leaves room for the control bar)
+};
+let screenAspect = 16 / 9;
+
+// ----- Projection (per playlist entry, or from the DOM selects for manual URLs) -----
+const PROJECTION_MODES = ["flat", "180", "360"];
+const STEREO_MODES = ["mono", "sbs", "tb"];
+const SPHERE_RADIUS = 40;
+const projection = { mode: "flat", stereo: "mono" };
+
+let catalogSource = DEFAULT_CATALOG_URL; // manifest URL, or a manifest object passed in
+let playlists = {};
+let trendingItems = [];
+
+// ----- Watch history (localStorage) -----
+const HISTORY_STORAGE_KEY = "vibesphere:history";
+const HISTORY_MAX_POSITIONS = 50;
+const CONTINUE_PLAYLIST_ID = "continue-watching";
+const CONTINUE_MAX_ENTRIES = 10;
+
+let watchHistory = { positions: {}, playlistIndex: {} };
+let lastHistorySave = 0;
+
+// ----- Local media (dropped or picked files, played through object URLs) -----
+const LOCAL_PLAYLIST_ID = "local-media";
+// containers browsers may leave without a video/* MIME type
+const LOCAL_VIDEO_EXTENSIONS = ["mp4", "m4v", "webm", "mov", "mkv", "ogv"];
+let localEntries = []; // the "Local Media" playlist
+let localSingleUrl = null; // a lone opened file, revoked once playback moves on
+
+// ----- Deep links (state in the query string, see readDeepLink) -----
+const DEEP_LINK_PARAMS = ["item", "video", "t", "url", "projection", "stereo", "layout"];
+const DEEP_LINK_TIME_INTERVAL_MS = 5000; // browsers throttle frequent replaceState calls
+const deepLink = {
+  pushNext: false, // the next playEntry starts a new history entry
+  restoring: false, // applying a popstate, so nothing is pushed
+  lastWrite: 0,
+};
 
-// ----- Online playlists (free, legal sample videos) -----
-const playlists = {
-  creators: [
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4",
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ElephantsDream.mp4",
-  ],
-  music: [
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerJoyrides.mp4",
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerBlazes.mp4",
-  ],
-  gaming: [
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerEscapes.mp4",
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerFun.mp4",
-  ],
-  news: [
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/Sintel.mp4",
-    "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/TearsOfSteel.mp4",
-  ],
+// ----- Playlist navigation -----
+const REPEAT_MODES = ["all", "one", "none"];
+const BACK_STACK_LIMIT = 50;
+const QUEUE_VISIBLE_ROWS = 5;
+
+let repeatMode = "all";
+let shuffleEnabled = false;
+let shuffleOrder = { playlistId: null, order: [], position: 0 };
+let userQueue = []; // entries played before the playlist continues
+let playingFromQueue = false;
+let backStack = []; // what played before, for "previous"
+let queueScroll = 0;
+
+// ----- Catalog search (filters the panel row) + virtual keyboard -----
+let searchQuery = "";
+let allPanels = []; // every card; `panels` holds the ones matching searchQuery
+const KEYBOARD_KEY_WIDTH = 0.11;
+const KEYBOARD_ROWS = ["1234567890", "qwertyuiop", "asdfghjkl", "zxcvbnm", ":/.-_?=&#"];
+const virtualKeyboard = {
+  group: null,
+  target: "search", // "search" edits searchQuery live; "url" fills `url` until Play
+  url: "",
+  shift: false,
 };
 
+// ----- Panel layout (arc around the viewer, or paged grid) -----
+const PANEL_WIDTH = 1.4;
+const PANEL_HEIGHT = 0.8;
+const panelLayout = {
+  mode: "arc", // "arc" | "grid"
+  arcRadius: 4, // metres from the XR origin, where a headset user stands
+  arcSpacing: 1.8, // metres along the arc between panel centres
+  arcMaxAngle: 62, // degrees either side of centre before panels fade out
+  baseY: 0.65,
+  gridColumns: 4,
+  gridRows: 2,
+  gridScale: 0.7,
+  gridSpacing: 1.15,
+  gridDistance: 3.6,
+  gridTopY: 0.95,
+};
+let panelScroll = 0; // arc: (fractional) index of the centred panel
+let panelPage = 0; // grid: current page
+let panelArrows = { left: null, right: null };
+let lastFrameTime = performance.now();
+
+// ----- XR gamepad mapping (overridable via localStorage, see setGamepadMapping) -----
+const GAMEPAD_STORAGE_KEY = "vibesphere:gamepad";
+const GAMEPAD_AXIS_THRESHOLD = 0.6;
+const GAMEPAD_AXIS_RELEASE = 0.3;
+const GAMEPAD_REPEAT_DELAY_MS = 450;
+const GAMEPAD_REPEAT_INTERVAL_MS = 180;
+// Inputs use xr-standard names; A/B are the right controller's face buttons,
+// X/Y the left's. Axis actions receive a direction of -1 / +1 (stick up and
+// right are +1); button actions receive -1 on the left hand, +1 on the right.
+const DEFAULT_GAMEPAD_MAPPING = {
+  thumbstickX: "seek",
+  thumbstickY: "volume",
+  a: "playPause",
+  b: "mute",
+  x: "playPause",
+  y: "mute",
+  grip: "pagePanels",
+  thumbstickPress: "placeStage",
+};
+const GAMEPAD_ACTIONS = {
+  none: null,
+  seek: (dir) => seekBy(10 * dir),
+  volume: (dir) => changeVolume(0.1 * dir),
+  playPause: () => togglePlayPause(),
+  mute: () => toggleMute(),
+  pagePanels: (dir) => scrollPanels(dir),
+  next: () => playNext(false),
+  previous: () => playPrevious(),
+  captions: () => cycleCaptions(),
+  placeStage: () => startARPlacement(), // AR only: pick a new surface for the screen
+};
+let gamepadMapping = { ...DEFAULT_GAMEPAD_MAPPING };
+const gamepadStates = new WeakMap(); // XRInputSource -> { buttons, axes }
+
+// ----- Hand tracking (pinch-drag gestures + palm-up wrist menu) -----
+const HAND_MODEL_PROFILE = "mesh"; // "mesh" | "spheres" | "boxes"
+const HAND_DRAG_THRESHOLD = 0.03; // metres of pinch travel before a pinch becomes a drag
+const HAND_SCRUB_SWEEP = 0.6; // metres of sideways travel that scrub the whole video
+const HAND_PANEL_STEP = 0.25; // metres of sideways travel per panel (arc) or page (grid)
+const PALM_UP_OPEN = 0.7; // palm normal · world up needed to open the wrist menu...
+const PALM_UP_CLOSE = 0.4; // ...and below which it closes again
+const PALM_UP_HOLD_MS = 250;
+const hands = []; // [{ hand, controller, pinch, palmUpSince }], one per XR hand slot
+let wristMenu = null;
+let wristMenuOwner = null; // the hands[] entry whose palm is holding the menu open
+const handPoint = new THREE.Vector3();
+const handVector = new THREE.Vector3();
+const handQuat = new THREE.Quaternion();
+
+// ----- AR passthrough (hit-test placement, anchors persisted in localStorage) -----
+const AR_ANCHOR_STORAGE_KEY = "vibesphere:arAnchor";
+const AR_STAGE_SCALE = 0.6; // the cinema-sized screen shrunk to living-room size
+const ar = {
+  active: false,
+  placing: false, // reticle follows hit-tests until the user selects a surface
+  placeRequested: false, // set by select / pinch, consumed on the next XR frame
+  hitTestSource: null,
+  anchor: null,
+  anchorOffset: new THREE.Matrix4(), // anchor pose -> stageGroup transform
+  refSpace: null,
+  savedBackground: null,
+};
+let arReticle = null;
+const arMatrix = new THREE.Matrix4();
+
+// ----- Timeline (DOM bar + in-scene bar under the screen) -----
+const TIMELINE_WIDTH = 2.22; // matches the control bar's first row
+const TIMELINE_HEIGHT = 0.07;
+const PREVIEW_WIDTH = 0.34;
+let timelineMesh = null;
+let previewMesh = null;
+let previewVideo = null; // muted twin of htmlVideo, seeked for hover frames
+let previewPendingTime = null;
+let timelineHover = null; // 0..1 while the pointer or a ray is over either bar
+let timelineDomDragging = false;
+let timelineDrag = null; // { controller } while an XR select drags the in-scene bar
+
+// ----- Screen wall (picture-in-picture screens + a live wall of every category) -----
+const SCREEN_LAYOUTS = ["single", "pip", "wall"];
+const SCREEN_LAYOUT_LABELS = { single: "Single", pip: "PiP", wall: "Wall" };
+const PIP_SCREEN_COUNT = 2;
+const PIP_WIDTH = 1.0;
+const PIP_GAP = 0.08;
+const WALL_COLUMNS = 4;
+const WALL_TILE_WIDTH = 0.9;
+const WALL_GAP = 0.08;
+const WALL_PREVIEW_WIDTH = 256; // tiles are drawn from a canvas this wide...
+const WALL_PREVIEW_INTERVAL_MS = 100; // ...about ten times a second
+const screenWall = {
+  layout: "single",
+  group: null, // stageGroup child holding the secondary screens
+  screens: [], // see createSecondaryScreen
+  focused: null, // secondary screen with audio focus; null = the main screen
+  previousLayout: "single", // where opening a wall tile returns to
+  resumeMain: false, // main screen was playing when the wall replaced it
+};
 
-// Public sample MP4s so it works even with no local files
-const trendingItems = [
-  {
-    id: 1,
-    title: "Top Creator Clips",
-    color: 0xff7b7b,
-    description: "A curated wall of viral creator moments.",
-    playlistId: "creators",
+// ----- Watch party (WebSocket sync, see server/party-server.mjs) -----
+const PARTY_NAME_STORAGE_KEY = "vibesphere:partyName";
+const PARTY_HEARTBEAT_MS = 1000; // host -> room position reports
+const PARTY_SYNC_MS = 250; // how often guests correct drift
+const PARTY_POSE_MS = 100;
+const PARTY_DRIFT_SEEK = 1.0; // seconds off before a hard seek...
+const PARTY_DRIFT_NUDGE = 0.15; // ...or before the playback rate is nudged instead
+const PARTY_SEAT_SPACING = 0.9; // metres between participants' seats along x
+const party = {
+  socket: null,
+  id: null,
+  room: null,
+  hostId: null,
+  seat: 0,
+  peers: new Map(), // id -> { name, seat, avatar }
+  clockOffset: 0, // server clock minus Date.now(), in ms
+  target: null, // { time, playing, sentAt } the room is playing towards
+  remoteUntil: 0, // local video events before this are echoes of a remote state
+  lastHeartbeat: 0,
+  lastSync: 0,
+  lastPose: 0,
+};
+let partyAvatarGroup = null;
+
+// ----- Spatial audio (htmlVideo -> Web Audio, positioned at the screen) -----
+const REVERB_PRESETS = {
+  off: null,
+  room: { seconds: 0.9, decay: 3.5, wet: 0.15 },
+  cinema: { seconds: 1.8, decay: 2.8, wet: 0.25 },
+  hall: { seconds: 3.2, decay: 2.2, wet: 0.35 },
+};
+let audioListener = null;
+let screenAudio = null; // THREE.PositionalAudio fed by htmlVideo, built on the first gesture
+let spatialAudioFailed = false;
+let reverb = null; // { input, convolver, wet, mix, preset }
+let reverbSetting = "auto"; // a REVERB_PRESETS key, or "auto" to follow the environment
+let playbackVolume = 1;
+let playbackMuted = true; // autoplay starts muted
+
+// ----- Environments (see setEnvironment), cinema dimming and ambilight -----
+const ENVIRONMENT_STORAGE_KEY = "vibesphere:environment";
+// the equirectangular panorama from the three.js examples; ?skybox= overrides it
+const SKYBOX_DEFAULT_URL =
+  "https://cdn.jsdelivr.net/gh/mrdoob/three.js@r161/examples/textures/2294472375_24a3b8ef46_o.jpg";
+// floor / wall / strips: colour, or null to hide; reverb: a REVERB_PRESETS key for "auto"
+const ENVIRONMENTS = {
+  cinema: {
+    label: "Cinema Hall",
+    background: 0x050814,
+    floor: 0x101320,
+    wall: 0x111628,
+    glow: { color: 0x4048ff, opacity: 0.15 },
+    strips: null,
+    hemi: { sky: 0xffffff, ground: 0x202028, intensity: 0.9 },
+    dir: { color: 0xffffff, intensity: 0.6 },
+    reverb: "cinema",
+  },
+  void: {
+    label: "Open Void",
+    background: 0x000000,
+    floor: null,
+    wall: null,
+    glow: null,
+    strips: null,
+    hemi: { sky: 0xffffff, ground: 0x000000, intensity: 0.7 },
+    dir: { color: 0xffffff, intensity: 0.4 },
+    reverb: "off",
   },
-  {
-    id: 2,
-    title: "Global Music Vibes",
-    color: 0x7be0ff,
-    description: "Relaxing ocean view loop.",
-    playlistId: "music",
+  lounge: {
+    label: "Neon Lounge",
+    background: 0x0b0414,
+    floor: 0x1a0f24,
+    wall: 0x24102f,
+    glow: { color: 0xff3cac, opacity: 0.3 },
+    strips: 0x3cf0ff,
+    hemi: { sky: 0xffb8f0, ground: 0x1a0830, intensity: 0.8 },
+    dir: { color: 0x9fd8ff, intensity: 0.5 },
+    reverb: "room",
   },
-  {
-    id: 3,
-    title: "Gaming Highlights",
-    color: 0x9d7bff,
-    description: "Fast paced race footage.",
-    playlistId: "gaming",
+  skybox: {
+    label: "Skybox",
+    skybox: true,
+    floor: null,
+    wall: null,
+    glow: null,
+    strips: null,
+    hemi: { sky: 0xffffff, ground: 0x404040, intensity: 1.0 },
+    dir: { color: 0xffffff, intensity: 0.5 },
+    reverb: "hall",
   },
-  {
-    id: 4,
-    title: "News & Explainers",
-    color: 0xffc857,
-    description: "Short explainer style clip.",
-    playlistId: "news",
+};
+const CINEMA_DIM_LEVEL = 0.2; // light level while a video plays in cinema mode
+const AMBILIGHT_SAMPLE_MS = 150;
+const AMBILIGHT_LIGHT_MIX = 0.6; // how far the lights lean toward the video colour
+const AMBILIGHT_GLOW_BOOST = 2.5; // glow opacity multiplier while ambilight is on
+const environment = {
+  preset: "cinema",
+  cinemaMode: false,
+  ambilight: false,
+  dim: 1, // eased light level
+  tint: 0, // eased 0..1 ambilight weight
+  ambientColor: new THREE.Color(0xffffff), // eased average video colour
+  targetColor: new THREE.Color(0xffffff),
+  lastSample: 0,
+  sampleCanvas: null,
+  unreadableUrl: null, // source whose frames can't be read (no CORS)
+  skyboxTexture: null,
+  skyboxUrl: null,
+};
+const ambilightHsl = { h: 0, s: 0, l: 0 };
+
+// ----- Playback health (diagnosis, retries, skipping; per-URL record in localStorage) -----
+const HEALTH_STORAGE_KEY = "vibesphere:health";
+const HEALTH_CACHE_LIMIT = 200;
+const RETRY_DELAYS_MS = [1000, 3000, 8000]; // backoff before each retry of one URL
+const LOAD_TIMEOUT_MS = 20000; // no first frame by then counts as a failure
+const STALL_TIMEOUT_MS = 15000; // buffering ("waiting") this long counts as one too
+const MEDIA_ERROR_MESSAGES = {
+  1: "Loading was aborted before the video could play.",
+  2: "A network error interrupted the download.",
+  3: "The video could not be decoded (corrupt file or unsupported encoding).",
+  4: "The video format is not supported, or the file could not be loaded.",
+};
+// retry: whether trying the same URL again could help
+const PLAYBACK_FAILURES = {
+  cors: {
+    retry: false,
+    message: "The server does not allow cross-origin playback (CORS), so the video can't be shown in 3D.",
   },
-];
+  missing: { retry: false, message: "The video was not found (HTTP 404)." },
+  forbidden: { retry: false, message: "Access to the video was denied (HTTP 401/403)." },
+  decode: { retry: false, message: MEDIA_ERROR_MESSAGES[3] },
+  unsupported: { retry: false, message: MEDIA_ERROR_MESSAGES[4] },
+  network: { retry: true, message: MEDIA_ERROR_MESSAGES[2] },
+  stream: { retry: true, message: "The stream failed to load." },
+  timeout: { retry: true, message: "The video took too long to start." },
+  stall: { retry: true, message: "Playback stalled while buffering." },
+};
+let urlHealth = {}; // url -> { status: "ok" | "failing" | "dead", failures, reason, checkedAt }
+let playbackAttempt = { url: null, retries: 0, settled: false, timer: null };
+let playbackWatchdog = null; // { kind, timer }
+let consecutiveSkips = 0;
+
+// ----- Desktop navigation (pointer-lock look or orbit, kept inside the room) -----
+const DESKTOP_HOME = new THREE.Vector3(0, 1.6, 4);
+const ORBIT_TARGET = new THREE.Vector3(0, 1.6, 0); // the XR origin, where the arc is centred
+const LOOK_SENSITIVITY = 0.0022; // radians per pixel of mouse movement
+const MOVE_SPEED = 2.5; // metres per second
+const ORBIT_KEY_SPEED = 1.4; // radians per second for A/D in orbit mode
+let roomBounds = { minX: -9.5, maxX: 9.5, minZ: -5.5, maxZ: 9.5 }; // set by setupRoom
+const desktopNav = {
+  mode: "look", // "look" | "orbit"
+  yaw: 0,
+  pitch: 0,
+  orbitYaw: 0,
+  orbitPitch: 0,
+  orbitDistance: DESKTOP_HOME.distanceTo(ORBIT_TARGET),
+  keys: new Set(), // KeyboardEvent.code values currently held
+  drag: null, // orbit mouse drag in progress
+  suppressClick: false,
+};
+
+// ----- Panel thumbnails + metadata (cached in localStorage) -----
+const THUMBNAIL_STORAGE_KEY = "vibesphere:thumbnails";
+const DURATION_STORAGE_KEY = "vibesphere:durations";
+const THUMBNAIL_CACHE_LIMIT = 40;
+const METADATA_TIMEOUT_MS = 15000;
+
+let thumbnailCache = {}; // url -> { data: JPEG data URL, savedAt }
+let durationCache = {}; // url -> seconds
+const thumbnailImages = new Map(); // url -> decoded HTMLImageElement
+const metadataFailures = new Set(); // urls not to retry this session
+let metadataJobs = [];
+let metadataBusy = false;
 
 
 // ------- Init pipeline with try/catch per phase -------
-try {
-  setupRendererAndScene();
-  setupRoom();
-  setupPanels();
-  setupVideoScreen();
-  setupXRControllers();
-  setupDOMControls();
-  setupDesktopInteraction();
-  startLoop();
-} catch (err) {
-  reportError("Top-level init", err);
+// Run by createVibeSphere; index.html creates the full-page instance.
+async function init() {
+  const { signal } = lifecycle;
+  try {
+    setupRendererAndScene();
+    setupRoom();
+    await setupCatalog();
+    if (signal.aborted) return; // destroyed while the manifest was loading
+    loadMetadataCache();
+    loadUrlHealth();
+    loadWatchHistory(); // before the panels, which may include "Continue Watching"
+    setupPanels();
+    setupPanelArrows();
+    setupVideoScreen();
+    setupControlBar();
+    setupTimeline();
+    setupScreenWall();
+    setupCaptions();
+    setupQueueList3D();
+    setupVirtualKeyboard();
+    setupXRControllers();
+    setupHands();
+    setupAR();
+    setupDOMControls();
+    setupLocalMedia();
+    setupDeepLinks();
+    setupDesktopInteraction();
+    setupWatchParty();
+    startLoop();
+  } catch (err) {
+    reportError("Top-level init", err);
+  }
 }
 
 // ------- Phase 1: renderer + scene -------
@@ -113,49 +521,77 @@ function setupRendererAndScene() {
 
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x050814);
-
-    camera = new THREE.PerspectiveCamera(
-      70,
-      window.innerWidth / window.innerHeight,
-      0.1,
-      100
-    );
-    camera.position.set(0, 1.6, 4);
-
-    renderer = new THREE.WebGLRenderer({ antialias: true });
+    stageGroup = new THREE.Group();
+    scene.add(stageGroup);
+
+    const size = getViewportSize();
+    camera = new THREE.PerspectiveCamera(70, size.width / size.height, 0.1, 100);
+    camera.position.copy(DESKTOP_HOME);
+    camera.rotation.order = "YXZ"; // yaw then pitch, for mouse-look
+    // stereo videos put the left eye on layer 1 and the right eye on layer 2;
+    // outside XR the single camera shows the left eye
+    camera.layers.enable(1);
+
+    // alpha so AR passthrough shows behind the scene once the background is cleared
+    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
     renderer.setPixelRatio(window.devicePixelRatio || 1);
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setSize(size.width, size.height);
     renderer.xr.enabled = true;
-    document.body.appendChild(renderer.domElement);
+    hostContainer.appendChild(renderer.domElement);
 
-    // VR button
+    // VR / AR buttons: the page's container if it has one, else the embed's
+    const buttonContainer = document.getElementById("vr-button-container") || hostContainer;
     try {
-      const vrButton = VRButton.createButton(renderer);
-      const container = document.getElementById("vr-button-container");
-      if (container) container.appendChild(vrButton);
+      xrButtons.push(buttonContainer.appendChild(VRButton.createButton(renderer)));
     } catch (err) {
       reportError("VRButton", err);
     }
+    try {
+      const arButton = ARButton.createButton(renderer, {
+        requiredFeatures: ["hit-test"],
+        optionalFeatures: ["anchors", "hand-tracking"],
+      });
+      xrButtons.push(buttonContainer.appendChild(arButton));
+    } catch (err) {
+      reportError("ARButton", err);
+    }
 
     // Lights
-    const hemiLight = new THREE.HemisphereLight(0xffffff, 0x202028, 0.9);
+    hemiLight = new THREE.HemisphereLight(0xffffff, 0x202028, 0.9);
     scene.add(hemiLight);
-    const dirLight = new THREE.DirectionalLight(0xffffff, 0.6);
+    dirLight = new THREE.DirectionalLight(0xffffff, 0.6);
     dirLight.position.set(5, 10, 7);
     scene.add(dirLight);
 
-    window.addEventListener("resize", onWindowResize);
+    listen(window, "resize", onWindowResize);
+    if (hostContainer !== document.body && "ResizeObserver" in window) {
+      // embedded: the container can change size without the window doing so
+      resizeObserver = new ResizeObserver(onWindowResize);
+      resizeObserver.observe(hostContainer);
+    }
   } catch (err) {
     reportError("Renderer/Scene setup", err);
     throw err;
   }
 }
 
+// The window for the full-page app, the container's box when embedded.
+function getViewportSize() {
+  if (hostContainer === document.body) {
+    return { width: window.innerWidth, height: window.innerHeight };
+  }
+  return {
+    width: Math.max(1, hostContainer.clientWidth),
+    height: Math.max(1, hostContainer.clientHeight),
+  };
+}
+
 function onWindowResize() {
   try {
-    camera.aspect = window.innerWidth / window.innerHeight;
+    const size = getViewportSize();
+    camera.aspect = size.width / size.height;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setSize(size.width, size.height);
   } catch (err) {
     reportError("Resize", err);
   }
@@ -166,6 +602,10 @@ function setupRoom() {
   try {
     log("Room", "Building floor and back wall");
 
+    // grouped so immersive projections can hide the room in one go
+    roomGroup = new THREE.Group();
+    scene.add(roomGroup);
+
     const floorGeo = new THREE.PlaneGeometry(20, 20);
     const floorMat = new THREE.MeshStandardMaterial({
       color: 0x101320,
@@ -174,7 +614,7 @@ function setupRoom() {
     const floor = new THREE.Mesh(floorGeo, floorMat);
     floor.rotation.x = -Math.PI / 2;
     floor.position.y = 0;
-    scene.add(floor);
+    roomGroup.add(floor);
 
     const backWallGeo = new THREE.PlaneGeometry(20, 6);
     const backWallMat = new THREE.MeshStandardMaterial({
@@ -183,7 +623,7 @@ function setupRoom() {
     });
     const backWall = new THREE.Mesh(backWallGeo, backWallMat);
     backWall.position.set(0, 3, -6);
-    scene.add(backWall);
+    roomGroup.add(backWall);
 
     const glowGeo = new THREE.PlaneGeometry(12, 3);
     const glowMat = new THREE.MeshBasicMaterial({
@@ -193,381 +633,5363 @@ function setupRoom() {
     });
     const glow = new THREE.Mesh(glowGeo, glowMat);
     glow.position.set(0, 2.5, -5.9);
-    scene.add(glow);
+    roomGroup.add(glow);
+
+    // neon tubes along the wall, only lit in the lounge
+    const strips = new THREE.Group();
+    [0.6, 4.4].forEach((y) => {
+      const strip = new THREE.Mesh(new THREE.PlaneGeometry(14, 0.05), new THREE.MeshBasicMaterial());
+      strip.position.set(0, y, -5.95);
+      strips.add(strip);
+    });
+    roomGroup.add(strips);
+
+    roomParts = { floor, backWall, glow, strips };
+    loadEnvironmentSettings();
+    setEnvironment(environment.preset, false);
+
+    // desktop navigation stays half a metre inside the floor and wall
+    const halfFloor = floorGeo.parameters.width / 2;
+    roomBounds = {
+      minX: -halfFloor + 0.5,
+      maxX: halfFloor - 0.5,
+      minZ: backWall.position.z + 0.5,
+      maxZ: halfFloor - 0.5,
+    };
   } catch (err) {
     reportError("Room setup", err);
     throw err;
   }
 }
 
-// ------- Phase 3: panels -------
-function setupPanels() {
-  try {
-    log("Panels", "Creating trending category panels");
+// ----- Environment presets, cinema dimming + ambilight -----
+function setEnvironment(name, persist = true) {
+  environment.preset = name in ENVIRONMENTS ? name : "cinema";
+  applyEnvironment();
+  refreshEnvironmentControls();
+  if (persist) {
+    saveEnvironmentSettings();
+    announce(`Environment: ${ENVIRONMENTS[environment.preset].label}`);
+  }
+}
 
-    panels = [];
-    panelGroup = new THREE.Group();
-    scene.add(panelGroup);
+function cycleEnvironment() {
+  const names = Object.keys(ENVIRONMENTS);
+  setEnvironment(names[(names.indexOf(environment.preset) + 1) % names.length]);
+}
+
+// Shows / recolours the room parts and sets the background; lights and the
+// glow are eased toward the preset every frame (see updateEnvironment).
+function applyEnvironment() {
+  if (!roomParts) return;
+  const preset = ENVIRONMENTS[environment.preset];
+  const { floor, backWall, glow, strips } = roomParts;
+
+  [
+    [floor, preset.floor],
+    [backWall, preset.wall],
+  ].forEach(([mesh, color]) => {
+    mesh.visible = color !== null;
+    if (color !== null) mesh.material.color.setHex(color);
+  });
+  glow.visible = preset.glow !== null;
+  strips.visible = preset.strips !== null;
+  if (preset.strips !== null) {
+    strips.children.forEach((strip) => strip.material.color.setHex(preset.strips));
+  }
 
-    const panelWidth = 1.4;
-    const panelHeight = 0.8;
-    const panelGeo = new THREE.PlaneGeometry(panelWidth, panelHeight);
+  if (preset.skybox) {
+    // plain black until the panorama arrives
+    setSceneBackground(environment.skyboxTexture || new THREE.Color(0x000000));
+    loadSkybox();
+  } else {
+    setSceneBackground(new THREE.Color(preset.background));
+  }
 
-    const spacing = 1.8;
-    const startX = -((trendingItems.length - 1) * spacing) / 2;
+  applyReverbPreset();
+  log("Environment", `Preset: ${environment.preset}`);
+}
 
-    trendingItems.forEach((item, index) => {
-      const tex = createPanelTexture(item.title, item.color);
-      const mat = new THREE.MeshStandardMaterial({
-        map: tex,
-        roughness: 0.5,
-        metalness: 0.1,
-      });
-      mat.emissive = new THREE.Color(0x000000); // start with no glow
-      mat.emissiveIntensity = 0.0;
+// AR keeps the passthrough visible; the background returns when it ends.
+function setSceneBackground(background) {
+  if (ar.active) ar.savedBackground = background;
+  else scene.background = background;
+}
+
+// Equirectangular panorama: ?skybox=<image url> replaces the default.
+function loadSkybox() {
+  const url = new URLSearchParams(window.location.search).get("skybox") || SKYBOX_DEFAULT_URL;
+  if (environment.skyboxUrl === url) return;
+  environment.skyboxUrl = url;
+
+  log("Environment", "Loading skybox " + url);
+  const { signal } = lifecycle;
+  new THREE.TextureLoader().load(
+    url,
+    (texture) => {
+      if (signal.aborted) {
+        texture.dispose();
+        return;
+      }
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      texture.colorSpace = THREE.SRGBColorSpace;
+      environment.skyboxTexture?.dispose();
+      environment.skyboxTexture = texture;
+      if (ENVIRONMENTS[environment.preset].skybox) setSceneBackground(texture);
+    },
+    undefined,
+    () => {
+      if (signal.aborted) return;
+      environment.skyboxUrl = null; // try again next time the preset is picked
+      reportError("Skybox", new Error(`Could not load ${url}`));
+    }
+  );
+}
 
+function toggleCinemaMode() {
+  environment.cinemaMode = !environment.cinemaMode;
+  refreshEnvironmentControls();
+  saveEnvironmentSettings();
+  announce(environment.cinemaMode ? "Cinema mode on" : "Cinema mode off");
+}
 
-      const mesh = new THREE.Mesh(panelGeo, mat);
-      mesh.position.set(startX + index * spacing, 1.0, -4);
-      mesh.userData.item = item;
-      mesh.userData.baseScale = 1.0;
-      mesh.rotation.y = THREE.MathUtils.degToRad((index - 1.5) * 5);
+function toggleAmbilight() {
+  environment.ambilight = !environment.ambilight;
+  refreshEnvironmentControls();
+  saveEnvironmentSettings();
+  announce(environment.ambilight ? "Ambilight on" : "Ambilight off");
+}
 
-      panelGroup.add(mesh);
-      panels.push(mesh);
-    });
+// Called every frame: eases the light level (cinema mode) and the tint
+// (ambilight) and applies both to the lights and the glow.
+function updateEnvironment(now, dt) {
+  if (!roomParts || !hemiLight) return;
+  const preset = ENVIRONMENTS[environment.preset];
+  const k = 1 - Math.exp(-dt * 3);
+
+  const dimTarget = environment.cinemaMode && isPlaying ? CINEMA_DIM_LEVEL : 1;
+  environment.dim += (dimTarget - environment.dim) * k;
+
+  if (environment.ambilight) sampleAmbilight(now);
+  environment.tint += ((environment.ambilight ? 1 : 0) - environment.tint) * k;
+  environment.ambientColor.lerp(environment.targetColor, k);
+  const mix = environment.tint * AMBILIGHT_LIGHT_MIX;
+
+  hemiLight.color.setHex(preset.hemi.sky).lerp(environment.ambientColor, mix);
+  hemiLight.groundColor.setHex(preset.hemi.ground);
+  hemiLight.intensity = preset.hemi.intensity * environment.dim;
+  dirLight.color.setHex(preset.dir.color).lerp(environment.ambientColor, mix);
+  dirLight.intensity = preset.dir.intensity * environment.dim;
+
+  const { glow } = roomParts;
+  if (preset.glow) {
+    glow.material.color.setHex(preset.glow.color).lerp(environment.ambientColor, environment.tint);
+    // with ambilight on, the glow is the bias light that stays up in cinema mode
+    const level = THREE.MathUtils.lerp(environment.dim, AMBILIGHT_GLOW_BOOST, environment.tint);
+    glow.material.opacity = Math.min(1, preset.glow.opacity * level);
+  }
+}
+
+// Averages the current frame on a tiny canvas every AMBILIGHT_SAMPLE_MS.
+function sampleAmbilight(now) {
+  if (now - environment.lastSample < AMBILIGHT_SAMPLE_MS) return;
+  environment.lastSample = now;
+  if (!htmlVideo || htmlVideo.readyState < 2) return;
+  if (environment.unreadableUrl === currentSourceUrl) return;
 
-    currentItem = trendingItems[0];
+  try {
+    if (!environment.sampleCanvas) {
+      environment.sampleCanvas = document.createElement("canvas");
+      environment.sampleCanvas.width = 16;
+      environment.sampleCanvas.height = 9;
+    }
+    const canvas = environment.sampleCanvas;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(htmlVideo, 0, 0, canvas.width, canvas.height);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      r += data[i];
+      g += data[i + 1];
+      b += data[i + 2];
+    }
+    const count = (data.length / 4) * 255;
+    environment.targetColor.setRGB(r / count, g / count, b / count, THREE.SRGBColorSpace);
+
+    // keep the hue but don't let dark scenes black the room out
+    environment.targetColor.getHSL(ambilightHsl);
+    environment.targetColor.setHSL(ambilightHsl.h, ambilightHsl.s, Math.max(ambilightHsl.l, 0.35));
   } catch (err) {
-    reportError("Panels setup", err);
-    throw err;
+    // cross-origin frames without CORS headers taint the canvas
+    environment.unreadableUrl = currentSourceUrl;
+    log("Ambilight", `Can't read frames of ${currentSourceUrl}: ${err.message}`);
   }
 }
 
-function createPanelTexture(title, colorHex) {
-  const canvas = document.createElement("canvas");
-  canvas.width = 1024;
-  canvas.height = 512;
-  const ctx = canvas.getContext("2d");
+function refreshEnvironmentControls() {
+  const select = document.getElementById("environment");
+  if (select) select.value = environment.preset;
 
-  ctx.fillStyle = "#050714";
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  const cinemaBtn = document.getElementById("cinema-mode");
+  if (cinemaBtn) {
+    cinemaBtn.textContent = environment.cinemaMode ? "Cinema On" : "Cinema Off";
+    cinemaBtn.setAttribute("aria-pressed", String(environment.cinemaMode));
+  }
+  const ambilightBtn = document.getElementById("ambilight");
+  if (ambilightBtn) {
+    ambilightBtn.textContent = environment.ambilight ? "Ambilight On" : "Ambilight Off";
+    ambilightBtn.setAttribute("aria-pressed", String(environment.ambilight));
+  }
+}
 
-  const grad = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
-  grad.addColorStop(0, "#0c1028");
-  grad.addColorStop(1, `#${colorHex.toString(16).padStart(6, "0")}`);
-  ctx.globalAlpha = 0.9;
-  ctx.fillStyle = grad;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  ctx.globalAlpha = 1;
+function loadEnvironmentSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ENVIRONMENT_STORAGE_KEY) || "{}") || {};
+    if (stored.preset in ENVIRONMENTS) environment.preset = stored.preset;
+    environment.cinemaMode = stored.cinemaMode === true;
+    environment.ambilight = stored.ambilight === true;
+  } catch (err) {
+    reportError("Environment load", err);
+  }
+}
+function saveEnvironmentSettings() {
+  try {
+    const { preset, cinemaMode, ambilight } = environment;
+    localStorage.setItem(ENVIRONMENT_STORAGE_KEY, JSON.stringify({ preset, cinemaMode, ambilight }));
+  } catch (err) {
+    reportError("Environment save", err);
+  }
+}
 
-  ctx.fillStyle = "#ffffff";
-  ctx.font = "bold 64px system-ui";
-  ctx.textAlign = "left";
-  ctx.textBaseline = "middle";
-  ctx.fillText(title.slice(0, 30), 60, canvas.height / 2 - 20);
+// ------- Phase 2b: catalog manifest -------
+async function setupCatalog() {
+  const { signal } = lifecycle;
+  try {
+    // an embedding page's catalog option wins over ?catalog=
+    const param = new URLSearchParams(window.location.search).get("catalog");
+    await loadCatalog(instanceOptions.catalog || param || DEFAULT_CATALOG_URL);
+  } catch (err) {
+    if (signal.aborted) return;
+    // An unreachable manifest leaves an empty catalog; the screen falls back
+    // to its sample video so the rest of the app still comes up.
+    reportError("Catalog load", err);
+  }
+}
 
-  ctx.fillStyle = "rgba(220,220,255,0.85)";
-  ctx.font = "32px system-ui";
-  ctx.fillText("Click or pinch to play", 60, canvas.height / 2 + 70);
+// `source` is a manifest URL or an already-parsed manifest object; relative
+// video URLs in an object resolve against the page. The fetch is tied to the
+// instance, so a destroyed one never writes its catalog into the next.
+async function loadCatalog(source) {
+  const { signal } = lifecycle;
+  let catalog;
+  if (typeof source === "string") {
+    log("Catalog", "Loading manifest " + source);
+
+    const res = await fetch(source, { cache: "no-cache", signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status} while fetching ${source}`);
+
+    const raw = await res.json();
+    catalog = validateCatalog(raw, res.url || new URL(source, window.location.href).href);
+  } else {
+    log("Catalog", "Loading manifest object");
+    catalog = validateCatalog(source, window.location.href);
+  }
 
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.encoding = THREE.sRGBEncoding;
-  tex.needsUpdate = true;
-  return tex;
+  playlists = catalog.playlists;
+  trendingItems = catalog.items;
+  catalogSource = source;
+
+  log(
+    "Catalog",
+    `Loaded ${trendingItems.length} items and ${Object.keys(playlists).length} playlists`
+  );
 }
 
-// ------- Phase 4: curved video screen -------
-function setupVideoScreen() {
+// Re-fetch the manifest and rebuild the panel row without a page refresh.
+async function reloadCatalog(source = catalogSource) {
+  const { signal } = lifecycle;
   try {
-    log("Video", "Setting up HTML video and curved screen");
+    await loadCatalog(source);
+    if (signal.aborted) return;
+    setupPanels();
+    if (screenWall.layout !== "single") populateSecondaryScreens();
+
+    if (currentPlaylistId && !playlists[currentPlaylistId]) {
+      // whatever was playing is gone from the new catalog
+      const first = trendingItems[0];
+      if (first) playFromPlaylist(first.playlistId, 0);
+    }
+  } catch (err) {
+    if (!signal.aborted) reportError("Catalog reload", err);
+  }
+}
 
-    htmlVideo = document.getElementById("vs-video");
-    if (!htmlVideo) throw new Error("Missing #vs-video element");
+// Checks the manifest shape. Structural problems throw; individual bad
+// playlist entries and items are reported and skipped.
+function validateCatalog(raw, baseUrl) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Catalog must be a JSON object");
+  }
+  if (!raw.playlists || typeof raw.playlists !== "object" || Array.isArray(raw.playlists)) {
+    throw new Error("Catalog is missing a 'playlists' object");
+  }
+  if (!Array.isArray(raw.items)) {
+    throw new Error("Catalog is missing an 'items' array");
+  }
 
-    htmlVideo.crossOrigin = "anonymous";
-    htmlVideo.muted = true;
-    htmlVideo.loop = true;
-    htmlVideo.playsInline = true;
+  const validPlaylists = {};
+  for (const [playlistId, entries] of Object.entries(raw.playlists)) {
+    if (!Array.isArray(entries)) {
+      reportError("Catalog", new Error(`Playlist '${playlistId}' is not an array, skipped`));
+      continue;
+    }
 
-    // pick an initial video
-    const firstItem = trendingItems[0];
-    let initialUrl = null;
+    const list = [];
+    entries.forEach((entry, index) => {
+      try {
+        list.push(normalizePlaylistEntry(entry, baseUrl));
+      } catch (err) {
+        reportError(
+          "Catalog",
+          new Error(`Playlist '${playlistId}' entry ${index} skipped: ${err.message}`)
+        );
+      }
+    });
+    validPlaylists[playlistId] = list;
+  }
 
-    if (firstItem && firstItem.playlistId) {
-      const list = playlists[firstItem.playlistId];
-      if (list && list.length > 0) {
-        initialUrl = list[0];
-        currentPlaylistId = firstItem.playlistId;
-        currentPlaylistIndex = 0;
+  const validItems = [];
+  const seenIds = new Set();
+  raw.items.forEach((item, index) => {
+    try {
+      const normalized = normalizeCatalogItem(item, validPlaylists);
+      if (seenIds.has(normalized.id)) {
+        throw new Error(`duplicate id '${normalized.id}'`);
       }
+      seenIds.add(normalized.id);
+      validItems.push(normalized);
+    } catch (err) {
+      reportError("Catalog", new Error(`Item ${index} skipped: ${err.message}`));
     }
+  });
 
-    // Fallback to a known-good sample if anything is missing
-    if (!initialUrl) {
-      initialUrl =
-        "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4";
+  return { playlists: validPlaylists, items: validItems };
+}
+
+// Entries may be a bare URL string or an object with at least a `url`.
+function normalizePlaylistEntry(entry, baseUrl) {
+  const source = typeof entry === "string" ? { url: entry } : entry;
+  if (!source || typeof source !== "object") {
+    throw new Error("expected a URL string or an object");
+  }
+  if (typeof source.url !== "string" || !source.url.trim()) {
+    throw new Error("missing 'url'");
+  }
+  if (source.title !== undefined && typeof source.title !== "string") {
+    throw new Error("'title' must be a string");
+  }
+  if (source.type !== undefined && !STREAM_TYPES.includes(source.type)) {
+    throw new Error(`'type' must be one of ${STREAM_TYPES.join(", ")}`);
+  }
+  // "projection": 180 is as natural in JSON as "180"
+  const projectionMode = source.projection === undefined ? undefined : String(source.projection);
+  if (projectionMode !== undefined && !PROJECTION_MODES.includes(projectionMode)) {
+    throw new Error(`'projection' must be one of ${PROJECTION_MODES.join(", ")}`);
+  }
+  if (source.stereo !== undefined && !STEREO_MODES.includes(source.stereo)) {
+    throw new Error(`'stereo' must be one of ${STEREO_MODES.join(", ")}`);
+  }
+  if (source.duration !== undefined && !(typeof source.duration === "number" && source.duration > 0)) {
+    throw new Error("'duration' must be a positive number of seconds");
+  }
+  if (source.poster !== undefined && typeof source.poster !== "string") {
+    throw new Error("'poster' must be an image URL");
+  }
+  if (source.preview !== undefined && typeof source.preview !== "string") {
+    throw new Error("'preview' must be a video URL");
+  }
+  const subtitles = normalizeSubtitles(source.subtitles, baseUrl);
+  const tags = normalizeTags(source.tags);
+
+  // relative URLs resolve against the manifest location
+  const url = new URL(source.url.trim(), baseUrl).href;
+  const poster = source.poster ? new URL(source.poster, baseUrl).href : undefined;
+  // the same video at a low resolution, for PiP screens and wall tiles
+  const preview = source.preview ? new URL(source.preview, baseUrl).href : undefined;
+  return { ...source, url, projection: projectionMode, subtitles, poster, preview, tags };
+}
+
+// "subtitles": [{ "src": "talk.en.vtt", "lang": "en", "label": "English" }]
+function normalizeSubtitles(subtitles, baseUrl) {
+  if (subtitles === undefined) return [];
+  if (!Array.isArray(subtitles)) throw new Error("'subtitles' must be an array");
+
+  return subtitles.map((sub, index) => {
+    if (!sub || typeof sub.src !== "string" || !sub.src.trim()) {
+      throw new Error(`subtitle ${index} is missing 'src'`);
+    }
+    if (sub.lang !== undefined && typeof sub.lang !== "string") {
+      throw new Error(`subtitle ${index} 'lang' must be a string`);
     }
+    const lang = sub.lang || "und";
+    return {
+      src: new URL(sub.src.trim(), baseUrl).href,
+      lang,
+      label: typeof sub.label === "string" && sub.label ? sub.label : lang.toUpperCase(),
+      default: sub.default === true,
+    };
+  });
+}
 
-    htmlVideo.src = initialUrl;
-    htmlVideo.load();
+function normalizeCatalogItem(item, validPlaylists) {
+  if (!item || typeof item !== "object") throw new Error("expected an object");
 
-    // Wait until the video has data before creating the texture + mesh
-    htmlVideo.addEventListener("loadeddata", () => {
-      log("Video", "loadeddata for " + htmlVideo.currentSrc);
+  const idOk =
+    (typeof item.id === "number" && Number.isFinite(item.id)) ||
+    (typeof item.id === "string" && item.id.trim() !== "");
+  if (!idOk) throw new Error("'id' must be a number or non-empty string");
+
+  if (typeof item.title !== "string" || !item.title.trim()) {
+    throw new Error("missing 'title'");
+  }
+  if (item.description !== undefined && typeof item.description !== "string") {
+    throw new Error("'description' must be a string");
+  }
 
-      // create texture ONLY now
-      videoTexture = new THREE.VideoTexture(htmlVideo);
-      videoTexture.colorSpace = THREE.SRGBColorSpace; // new name instead of encoding
+  const list = validPlaylists[item.playlistId];
+  if (!list) throw new Error(`unknown playlistId '${item.playlistId}'`);
+  if (list.length === 0) throw new Error(`playlist '${item.playlistId}' has no playable entries`);
 
-      const screenRadius = 3.2;
-      const screenHeight = 2.2;
+  return {
+    ...item,
+    description: item.description || "",
+    color: parseCatalogColor(item.color),
+    tags: normalizeTags(item.tags),
+  };
+}
 
-      const screenGeo = new THREE.PlaneGeometry(4.0, 1.6);
+// Accepts 0xRRGGBB numbers or "#rrggbb" strings (JSON has no hex literals).
+function parseCatalogColor(value) {
+  if (value === undefined) return DEFAULT_PANEL_COLOR;
+  if (typeof value === "number" && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+    return value;
+  }
+  if (typeof value === "string" && /^#?[0-9a-f]{6}$/i.test(value)) {
+    return parseInt(value.replace("#", ""), 16);
+  }
+  throw new Error(`invalid color '${value}'`);
+}
 
-      const screenMat = new THREE.MeshBasicMaterial({
-          map: videoTexture,
-          side: THREE.DoubleSide,    // make sure we always see it
-        });
+// ------- Phase 3: panels -------
+function setupPanels() {
+  try {
+    log("Panels", "Creating trending category panels");
 
-      curvedScreen = new THREE.Mesh(screenGeo, screenMat);
-      curvedScreen.position.set(0, 3.0, -4.4);
-      curvedScreen.rotation.y = Math.PI;
-      scene.add(curvedScreen);
+    // rebuilding (e.g. after a catalog reload) replaces the previous row
+    if (panelGroup) {
+      allPanels.forEach((panel) => {
+        panel.material.map?.dispose();
+        panel.material.dispose();
+      });
+      allPanels[0]?.geometry.dispose();
+      stageGroup.remove(panelGroup);
+    }
+    hoveredPanel = null;
+    keyboardPanel = null;
 
-      playVideo(); // start playback after we’re fully ready
-    });
+    allPanels = [];
+    panelGroup = new THREE.Group();
+    stageGroup.add(panelGroup);
 
-    // also listen for errors
-    htmlVideo.addEventListener("error", () => {
-      const err = htmlVideo.error;
-      if (err) {
-        reportError("Video element", new Error(`code=${err.code}`));
-      }
+    const panelGeo = new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT);
+    const panelItems = getPanelItems();
+
+    panelItems.forEach((item) => {
+      const mesh = createPanelMesh(item, panelGeo);
+      panelGroup.add(mesh);
+      allPanels.push(mesh);
     });
+
+    filterPanels(true);
+    refreshSearchSuggestions();
+    requestPanelMetadata(panelItems);
+
+    const previousId = currentItem ? currentItem.id : null;
+    currentItem =
+      panelItems.find((item) => item.id === previousId) || trendingItems[0] || null;
   } catch (err) {
-    reportError("Video screen setup", err);
+    reportError("Panels setup", err);
     throw err;
   }
 }
 
+function createPanelMesh(item, geometry) {
+  const tex = createPanelTextureForItem(item);
+  const mat = new THREE.MeshStandardMaterial({
+    map: tex,
+    roughness: 0.5,
+    metalness: 0.1,
+    transparent: true, // panels fade in and out as the row pages
+  });
+  mat.emissive = new THREE.Color(0x000000); // start with no glow
+  mat.emissiveIntensity = 0.0;
+
+  const mesh = new THREE.Mesh(geometry, mat);
+  mesh.userData.item = item;
+  mesh.userData.searchText = getSearchText(item);
+  mesh.userData.baseScale = 1.0;
+  // `base` is the animated resting position; bobbing is added on top
+  mesh.userData.base = new THREE.Vector3();
+  mesh.userData.target = { position: new THREE.Vector3(), rotY: 0, opacity: 1, scale: 1 };
+  return mesh;
+}
 
+// Adds or drops just the Continue Watching card when it starts / stops
+// applying, without rebuilding the rest of the row mid-playback.
+function updateContinuePanel() {
+  const item = buildContinueWatchingItem();
+  const existing = allPanels.find((panel) => panel.userData.item.id === CONTINUE_PLAYLIST_ID);
+
+  if (existing && !item) {
+    panelGroup.remove(existing);
+    existing.material.map?.dispose();
+    existing.material.dispose();
+    allPanels = allPanels.filter((panel) => panel !== existing);
+    if (allPanels.length === 0) existing.geometry.dispose();
+    if (hoveredPanel === existing) hoveredPanel = null;
+    if (keyboardPanel === existing) keyboardPanel = null;
+  } else if (item && !existing) {
+    const geometry = allPanels[0]?.geometry || new THREE.PlaneGeometry(PANEL_WIDTH, PANEL_HEIGHT);
+    const mesh = createPanelMesh(item, geometry);
+    // fade in where the row starts instead of flying in from the origin
+    if (allPanels[0]) mesh.userData.base.copy(allPanels[0].userData.base);
+    mesh.position.copy(mesh.userData.base);
+    mesh.material.opacity = 0;
+    panelGroup.add(mesh);
+    allPanels.unshift(mesh);
+    requestPanelMetadata([item]);
+  }
 
-// ------- Video control helpers -------
-let isPlaying = false;
-
-function playVideo() {
-  if (!htmlVideo) return;
+  if (currentItem?.id === CONTINUE_PLAYLIST_ID) currentItem = item || trendingItems[0] || null;
+  filterPanels();
+  refreshSearchSuggestions();
+  if (screenWall.layout !== "single") populateSecondaryScreens();
+}
 
-  htmlVideo
-    .play()
-    .then(() => {
-      isPlaying = true;
-      const btn = document.getElementById("play-pause");
-      if (btn) btn.textContent = "Pause";
-      if (overlayError) overlayError.textContent = "";
-      log("Video", "Playback started: " + htmlVideo.currentSrc);
-    })
-    .catch((err) => {
-      const msg = err?.message || "";
-      // Ignore noisy "interrupted by a new load request" / AbortError
-      if (
-        err.name === "AbortError" ||
-        msg.includes("interrupted by a new load request")
-      ) {
-        console.warn(
-          "[VibeSphere][Video] Play interrupted by new load request (safe to ignore)"
-        );
-        return;
-      }
-      reportError("Video play", err);
-    });
+function createPanelTextureForItem(item) {
+  const list = playlists[item.playlistId] || [];
+  const first = list[0];
+  return createPanelTexture(item.title, item.color, {
+    captions: list.some((entry) => entry.subtitles.length > 0),
+    thumbnail: first ? thumbnailImages.get(first.url) : null,
+    meta: describePlaylist(list),
+    unavailable: list.filter((entry) => isKnownBad(entry.url)).length,
+    total: list.length,
+  });
 }
 
-function ensureAudioEnabled() {
-  try {
-    if (!htmlVideo || audioEnabled) return;
-    htmlVideo.muted = false;
-    htmlVideo.volume = 1.0;
-    audioEnabled = true;
-    log("Audio", "Audio unmuted and volume set to 1.0");
-    updateAudioButtonLabel();
-  } catch (err) {
-    reportError("ensureAudioEnabled", err);
+// "3 videos · 24:10"; the duration only appears once every entry's is known.
+function describePlaylist(list) {
+  const count = `${list.length} video${list.length === 1 ? "" : "s"}`;
+  let total = 0;
+  for (const entry of list) {
+    const duration = getKnownDuration(entry);
+    if (!duration) return count;
+    total += duration;
   }
+  return list.length ? `${count} · ${formatTime(total)}` : count;
 }
 
+function getKnownDuration(entry) {
+  if (typeof entry.duration === "number" && entry.duration > 0) return entry.duration;
+  return durationCache[entry.url] || 0;
+}
 
-function updateAudioButtonLabel() {
-  const btn = document.getElementById("unmute");
-  if (!btn || !htmlVideo) return;
-  btn.textContent = htmlVideo.muted ? "Unmute" : "Mute";
+function drawImageCover(ctx, image, width, height) {
+  const iw = image.naturalWidth || image.videoWidth || image.width;
+  const ih = image.naturalHeight || image.videoHeight || image.height;
+  if (!iw || !ih) return;
+  const scale = Math.max(width / iw, height / ih);
+  const w = iw * scale;
+  const h = ih * scale;
+  ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
 }
 
-function toggleMute() {
+// ------- Panel thumbnails + metadata -------
+// Poster frames come from an offscreen <video> seeked into the first video of
+// each playlist; durations from the metadata of every entry. Both are cached
+// in localStorage, and jobs run one at a time so only a single extra video is
+// ever decoding.
+function loadMetadataCache() {
   try {
-    if (!htmlVideo) return;
+    thumbnailCache = JSON.parse(localStorage.getItem(THUMBNAIL_STORAGE_KEY) || "{}") || {};
+    durationCache = JSON.parse(localStorage.getItem(DURATION_STORAGE_KEY) || "{}") || {};
+  } catch (err) {
+    reportError("Thumbnail cache load", err);
+    thumbnailCache = {};
+    durationCache = {};
+  }
+}
 
-    if (htmlVideo.muted || htmlVideo.volume === 0) {
-      htmlVideo.muted = false;
-      htmlVideo.volume = 1.0;
-      audioEnabled = true;
-      log("Audio", "Unmuted");
-    } else {
-      htmlVideo.muted = true;
-      log("Audio", "Muted");
-    }
+function saveMetadataCache() {
+  try {
+    // keep only the newest thumbnails; data URLs add up quickly
+    const urls = Object.keys(thumbnailCache).sort(
+      (a, b) => thumbnailCache[b].savedAt - thumbnailCache[a].savedAt
+    );
+    urls.slice(THUMBNAIL_CACHE_LIMIT).forEach((url) => delete thumbnailCache[url]);
 
-    updateAudioButtonLabel();
+    localStorage.setItem(THUMBNAIL_STORAGE_KEY, JSON.stringify(thumbnailCache));
+    localStorage.setItem(DURATION_STORAGE_KEY, JSON.stringify(durationCache));
   } catch (err) {
-    reportError("toggleMute", err);
+    // quota errors only mean the next visit regenerates
+    reportError("Thumbnail cache save", err);
   }
 }
 
-function updateVolumeLabel() {
-  const label = document.getElementById("volume-label");
-  if (!label || !htmlVideo) return;
+function requestPanelMetadata(items) {
+  items.forEach((item) => {
+    const list = playlists[item.playlistId] || [];
+
+    list.forEach((entry, index) => {
+      const wantsThumb = index === 0 && !thumbnailImages.has(entry.url);
+      const wantsDuration = !getKnownDuration(entry);
+      if (!wantsThumb && !wantsDuration) return;
+
+      if (wantsThumb && entry.poster) {
+        loadThumbnailImage(entry.url, entry.poster);
+        if (!wantsDuration) return;
+      } else if (wantsThumb && thumbnailCache[entry.url]) {
+        loadThumbnailImage(entry.url, thumbnailCache[entry.url].data);
+        if (!wantsDuration) return;
+      }
 
-  const percent = Math.round(htmlVideo.volume * 100);
-  label.textContent = `Vol: ${percent}%`;
+      // manifests and object URLs are not probed with a plain <video>
+      const probeable =
+        detectStreamType(entry.url, entry.type) === "progressive" && !entry.url.startsWith("blob:");
+      if (!probeable || metadataFailures.has(entry.url)) return;
+
+      const needsFrame = wantsThumb && !entry.poster && !thumbnailCache[entry.url];
+      const queued = metadataJobs.find((job) => job.url === entry.url);
+      if (queued) {
+        queued.thumb = queued.thumb || needsFrame;
+      } else {
+        metadataJobs.push({ url: entry.url, thumb: needsFrame });
+      }
+    });
+  });
+
+  runMetadataJobs();
 }
 
+async function runMetadataJobs() {
+  if (metadataBusy) return;
+  metadataBusy = true;
 
-function changeVolume(delta) {
   try {
-    if (!htmlVideo) return;
-
-    let newVol = htmlVideo.volume + delta;
-    newVol = Math.max(0, Math.min(1, newVol));
-    htmlVideo.volume = newVol;
-
-    if (newVol > 0) {
-      htmlVideo.muted = false;
-      audioEnabled = true;
+    while (metadataJobs.length > 0) {
+      const job = metadataJobs.shift();
+      try {
+        await probeVideo(job);
+      } catch (err) {
+        metadataFailures.add(job.url);
+        log("Thumbnails", `Skipped ${job.url}: ${err.message}`);
+      }
+    }
+  } finally {
+    metadataBusy = false;
+  }
+}
+
+function probeVideo(job) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.crossOrigin = "anonymous";
+    video.preload = job.thumb ? "auto" : "metadata";
+
+    const finish = (err) => {
+      clearTimeout(timer);
+      video.removeAttribute("src");
+      video.load(); // releases the decoder
+      if (err) reject(err);
+      else resolve();
+    };
+    const timer = setTimeout(() => finish(new Error("timed out")), METADATA_TIMEOUT_MS);
+
+    video.addEventListener("error", () => finish(new Error(`media error ${video.error?.code}`)));
+
+    video.addEventListener("loadedmetadata", () => {
+      if (Number.isFinite(video.duration) && video.duration > 0) {
+        durationCache[job.url] = video.duration;
+        saveMetadataCache();
+        refreshPanelTextures(job.url);
+      }
+      if (!job.thumb) {
+        finish();
+        return;
+      }
+      // a representative frame: past any black intro, but early on
+      video.currentTime = THREE.MathUtils.clamp(video.duration * 0.1, 1, 60);
+    });
+
+    video.addEventListener("seeked", () => {
+      try {
+        const canvas = document.createElement("canvas");
+        canvas.width = 384;
+        canvas.height = 216;
+        drawImageCover(canvas.getContext("2d"), video, canvas.width, canvas.height);
+        // throws if the server did not allow CORS (tainted canvas)
+        const data = canvas.toDataURL("image/jpeg", 0.72);
+
+        thumbnailCache[job.url] = { data, savedAt: Date.now() };
+        saveMetadataCache();
+        loadThumbnailImage(job.url, data);
+        finish();
+      } catch (err) {
+        finish(err);
+      }
+    });
+
+    video.src = job.url;
+  });
+}
+
+function loadThumbnailImage(url, src) {
+  const img = new Image();
+  img.crossOrigin = "anonymous";
+  img.onload = () => {
+    thumbnailImages.set(url, img);
+    refreshPanelTextures(url);
+  };
+  img.onerror = () => log("Thumbnails", `Could not load poster for ${url}`);
+  img.src = src;
+}
+
+// Redraw the cards whose playlist contains `url` (or all cards).
+function refreshPanelTextures(url) {
+  allPanels.forEach((panel) => {
+    const list = playlists[panel.userData.item.playlistId] || [];
+    if (url && !list.some((entry) => entry.url === url)) return;
+
+    const old = panel.material.map;
+    panel.material.map = createPanelTextureForItem(panel.userData.item);
+    if (old) old.dispose();
+  });
+}
+
+// ------- Panel layout engine -------
+// Computes every panel's target pose for the current mode and scroll state.
+// `snap` places them immediately instead of animating (first build).
+function layoutPanels(snap = false) {
+  if (panelLayout.mode === "grid") layoutGrid(panels);
+  else layoutArc(panels);
+  // cards filtered out by the search fade where they stand
+  allPanels.forEach((panel) => {
+    if (!panels.includes(panel)) panel.userData.target.opacity = 0;
+  });
+
+  if (snap) {
+    allPanels.forEach((panel) => {
+      const { target } = panel.userData;
+      panel.userData.base.copy(target.position);
+      panel.position.copy(target.position);
+      panel.rotation.y = target.rotY;
+      panel.material.opacity = target.opacity;
+      panel.visible = target.opacity > 0;
+      panel.userData.baseScale = target.scale;
+    });
+  }
+  updatePanelArrows();
+}
+
+function getArcScrollRange(count) {
+  const step = panelLayout.arcSpacing / panelLayout.arcRadius;
+  const maxAngle = THREE.MathUtils.degToRad(panelLayout.arcMaxAngle);
+  const fitCount = Math.floor((2 * maxAngle) / step) + 1;
+  const centred = (count - 1) / 2;
+  // everything fits: lock to the centre; otherwise stop at either end
+  return {
+    min: Math.min(centred, (fitCount - 1) / 2),
+    max: Math.max(centred, count - 1 - (fitCount - 1) / 2),
+  };
+}
+
+function layoutArc(list) {
+  const { arcRadius, arcSpacing, baseY } = panelLayout;
+  const step = arcSpacing / arcRadius;
+  const maxAngle = THREE.MathUtils.degToRad(panelLayout.arcMaxAngle);
+  const range = getArcScrollRange(list.length);
+  panelScroll = THREE.MathUtils.clamp(panelScroll, range.min, range.max);
+
+  list.forEach((panel, index) => {
+    const angle = (index - panelScroll) * step;
+    const { target } = panel.userData;
+    target.position.set(arcRadius * Math.sin(angle), baseY, -arcRadius * Math.cos(angle));
+    target.rotY = -angle; // face the centre of the arc
+    target.opacity = Math.abs(angle) <= maxAngle + 0.01 ? 1 : 0;
+    target.scale = 1;
+  });
+}
+
+function layoutGrid(list) {
+  const { gridColumns, gridRows, gridScale, gridSpacing, gridDistance, gridTopY } = panelLayout;
+  const perPage = gridColumns * gridRows;
+  const pages = Math.max(1, Math.ceil(list.length / perPage));
+  panelPage = THREE.MathUtils.clamp(panelPage, 0, pages - 1);
+  const pageWidth = gridColumns * gridSpacing + 1;
+  const rowStep = PANEL_HEIGHT * gridScale + 0.06;
+
+  list.forEach((panel, index) => {
+    const page = Math.floor(index / perPage);
+    const slot = index % perPage;
+    const row = Math.floor(slot / gridColumns);
+    const col = slot % gridColumns;
+    const columnsOnPage = Math.min(gridColumns, list.length - page * perPage);
+
+    // other pages wait off to the side so paging slides them in
+    const x = (col - (columnsOnPage - 1) / 2) * gridSpacing + (page - panelPage) * pageWidth;
+    const { target } = panel.userData;
+    target.position.set(x, gridTopY - row * rowStep, -gridDistance);
+    target.rotY = -Math.atan2(x, gridDistance) * 0.5;
+    target.opacity = page === panelPage ? 1 : 0;
+    target.scale = gridScale;
+  });
+}
+
+// Arc: one card per step. Grid: one page per step.
+function scrollPanels(delta) {
+  if (panelLayout.mode === "grid") panelPage += delta;
+  else panelScroll += delta;
+  layoutPanels();
+}
+
+function canScrollPanels(delta) {
+  if (panelLayout.mode === "grid") {
+    const perPage = panelLayout.gridColumns * panelLayout.gridRows;
+    const pages = Math.max(1, Math.ceil(panels.length / perPage));
+    return delta < 0 ? panelPage > 0 : panelPage < pages - 1;
+  }
+  const range = getArcScrollRange(panels.length);
+  return delta < 0 ? panelScroll > range.min + 0.01 : panelScroll < range.max - 0.01;
+}
+
+function setPanelLayoutMode(mode) {
+  panelLayout.mode = mode === "grid" ? "grid" : "arc";
+  panelPage = 0;
+  panelScroll = 0; // re-clamped to the first position by the layout
+  layoutPanels();
+
+  const btn = document.getElementById("panel-layout");
+  if (btn) btn.textContent = panelLayout.mode === "grid" ? "Layout: Grid" : "Layout: Arc";
+  log("Panels", `Layout mode: ${panelLayout.mode}`);
+  updateDeepLink(false);
+}
+
+// Eases each panel toward its target and adds the idle bob on top.
+function animatePanels(dt, t) {
+  const k = 1 - Math.exp(-dt * 8);
+
+  allPanels.forEach((panel, i) => {
+    const { base, target } = panel.userData;
+    base.lerp(target.position, k);
+    panel.rotation.y += (target.rotY - panel.rotation.y) * k;
+    panel.userData.baseScale += (target.scale - panel.userData.baseScale) * k;
+
+    const mat = panel.material;
+    mat.opacity += (target.opacity - mat.opacity) * k;
+    panel.visible = mat.opacity > 0.02;
+
+    panel.position.set(base.x, base.y + Math.sin(t + i) * 0.03, base.z);
+    const lifted = panel === hoveredPanel || panel === keyboardPanel;
+    panel.scale.setScalar(panel.userData.baseScale * (lifted ? 1.05 : 1));
+  });
+}
+
+// ◀ / ▶ buttons at either end of the row; hidden when there is nothing
+// further in that direction.
+function setupPanelArrows() {
+  try {
+    ["left", "right"].forEach((side) => {
+      const mesh = createControlMesh(0.22, 0.22, true);
+      const delta = side === "left" ? -1 : 1;
+      mesh.userData.label = () => (side === "left" ? "◀" : "▶");
+      mesh.userData.onSelect = () => scrollPanels(delta);
+      drawControlLabel(mesh);
+      stageGroup.add(mesh);
+      controlButtons.push(mesh);
+      panelArrows[side] = mesh;
+    });
+    updatePanelArrows();
+  } catch (err) {
+    reportError("Panel arrows", err);
+  }
+}
+
+function updatePanelArrows() {
+  const { left, right } = panelArrows;
+  if (!left || !right) return;
+
+  if (panelLayout.mode === "grid") {
+    const half = (panelLayout.gridColumns * panelLayout.gridSpacing) / 2 + 0.2;
+    const y = panelLayout.gridTopY - (PANEL_HEIGHT * panelLayout.gridScale) / 2;
+    left.position.set(-half, y, -panelLayout.gridDistance);
+    right.position.set(half, y, -panelLayout.gridDistance);
+    left.rotation.y = right.rotation.y = 0;
+  } else {
+    const { arcRadius, arcSpacing, baseY } = panelLayout;
+    const edge =
+      Math.min(
+        THREE.MathUtils.degToRad(panelLayout.arcMaxAngle),
+        ((panels.length - 1) / 2) * (arcSpacing / arcRadius)
+      ) +
+      (arcSpacing / arcRadius) * 0.55;
+    [
+      [left, -edge],
+      [right, edge],
+    ].forEach(([mesh, angle]) => {
+      mesh.position.set(arcRadius * Math.sin(angle), baseY, -arcRadius * Math.cos(angle));
+      mesh.rotation.y = -angle;
+    });
+  }
+
+  left.visible = canScrollPanels(-1);
+  right.visible = canScrollPanels(1);
+}
+
+// Catalog items, preceded by the generated "Continue Watching" card when
+// there is anything unfinished and the "Local Media" card once files are open.
+function getPanelItems() {
+  return [buildContinueWatchingItem(), buildLocalMediaItem(), ...trendingItems].filter(Boolean);
+}
+
+// The card for a playlist, generated ones included.
+function findPanelItem(playlistId) {
+  return allPanels.find((panel) => panel.userData.item.playlistId === playlistId)?.userData.item;
+}
+
+// `details`: { captions, thumbnail (drawable image), meta (e.g. "2 videos · 9:56") }
+function createPanelTexture(title, colorHex, details = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 1024;
+  canvas.height = 512;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#050714";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  if (details.thumbnail) {
+    drawImageCover(ctx, details.thumbnail, canvas.width, canvas.height);
+  }
+
+  const grad = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+  grad.addColorStop(0, "#0c1028");
+  grad.addColorStop(1, `#${colorHex.toString(16).padStart(6, "0")}`);
+  // over a poster frame the tint stays light enough to see the picture
+  ctx.globalAlpha = details.thumbnail ? 0.55 : 0.9;
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalAlpha = 1;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "bold 64px system-ui";
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  ctx.shadowColor = "rgba(0,0,0,0.6)";
+  ctx.shadowBlur = details.thumbnail ? 12 : 0;
+  ctx.fillText(title.slice(0, 30), 60, canvas.height / 2 - 20);
+
+  ctx.fillStyle = "rgba(220,220,255,0.85)";
+  ctx.font = "32px system-ui";
+  if (details.meta) ctx.fillText(details.meta, 60, canvas.height / 2 + 50);
+  ctx.fillText("Click or pinch to play", 60, canvas.height / 2 + (details.meta ? 110 : 70));
+  ctx.shadowBlur = 0;
+
+  if (details.captions) {
+    // "CC" badge in the top-right corner
+    ctx.strokeStyle = "rgba(255,255,255,0.9)";
+    ctx.lineWidth = 4;
+    ctx.strokeRect(canvas.width - 150, 40, 100, 60);
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "bold 36px system-ui";
+    ctx.textAlign = "center";
+    ctx.fillText("CC", canvas.width - 100, 72);
+  }
+
+  if (details.unavailable) {
+    // warning pill in the top-left corner for entries that failed to play
+    const text =
+      details.unavailable === details.total
+        ? "⚠ Unavailable"
+        : `⚠ ${details.unavailable} of ${details.total} unavailable`;
+    ctx.font = "bold 30px system-ui";
+    ctx.textAlign = "left";
+    const width = ctx.measureText(text).width + 40;
+    ctx.fillStyle = "rgba(200, 40, 60, 0.9)";
+    ctx.beginPath();
+    ctx.roundRect(50, 40, width, 56, 28);
+    ctx.fill();
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(text, 70, 69);
+  }
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.encoding = THREE.sRGBEncoding;
+  tex.needsUpdate = true;
+  return tex;
+}
+
+// ------- Phase 3b: catalog search + in-scene virtual keyboard -------
+
+// "tags": ["racing", "4K"] -> ["racing", "4k"]
+function normalizeTags(tags) {
+  if (tags === undefined) return [];
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    throw new Error("'tags' must be an array of strings");
+  }
+  return [...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Lower-cased title, description and tags of a card and of every video in it.
+function getSearchText(item) {
+  const list = playlists[item.playlistId] || [];
+  return [
+    item.title,
+    item.description,
+    ...(item.tags || []),
+    ...list.flatMap((entry) => [entry.title || "", ...(entry.tags || [])]),
+  ]
+    .join(" ")
+    .toLowerCase();
+}
+
+// Every word of the query has to appear somewhere in the card's text.
+function matchesSearch(text) {
+  const words = searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+  return words.every((word) => text.includes(word));
+}
+
+function setSearchQuery(query) {
+  if (query === searchQuery) return;
+  searchQuery = query;
+
+  const input = document.getElementById("panel-search");
+  if (input && input.value !== query) input.value = query;
+
+  panelScroll = 0;
+  panelPage = 0;
+  filterPanels();
+  announce(
+    searchQuery.trim()
+      ? `${panels.length} of ${allPanels.length} categories match`
+      : `Showing all ${allPanels.length} categories`
+  );
+}
+
+// Narrows `panels` to the cards matching the search; the rest fade out in
+// place (see layoutPanels) and stop taking hover / selection.
+function filterPanels(snap = false) {
+  panels = allPanels.filter((panel) => matchesSearch(panel.userData.searchText));
+
+  if (hoveredPanel?.userData.item && !panels.includes(hoveredPanel)) {
+    setHighlight(hoveredPanel, false);
+    hoveredPanel = null;
+  }
+  if (keyboardPanel && !panels.includes(keyboardPanel)) {
+    setHighlight(keyboardPanel, false);
+    keyboardPanel = null;
+  }
+  layoutPanels(snap);
+}
+
+// Suggestions for the DOM search box: every tag in the catalog.
+function refreshSearchSuggestions() {
+  const datalist = document.getElementById("search-tags");
+  if (!datalist) return;
+
+  const tags = new Set();
+  allPanels.forEach(({ userData: { item } }) => {
+    (item.tags || []).forEach((tag) => tags.add(tag));
+    (playlists[item.playlistId] || []).forEach((entry) =>
+      (entry.tags || []).forEach((tag) => tags.add(tag))
+    );
+  });
+  datalist.replaceChildren(
+    ...[...tags].sort().map((tag) => Object.assign(document.createElement("option"), { value: tag }))
+  );
+}
+
+// ----- Virtual keyboard (ray / pinch typing for search terms and URLs) -----
+function setupVirtualKeyboard() {
+  try {
+    const group = new THREE.Group();
+    group.visible = false;
+    group.scale.setScalar(0.6);
+    group.position.set(0, 1.0, -1.1);
+    group.rotation.x = -0.5; // tilted up at the viewer, like a lectern
+    stageGroup.add(group);
+    virtualKeyboard.group = group;
+
+    const step = CONTROL_BUTTON_HEIGHT + CONTROL_GAP;
+    const [, display] = layoutControlRow(
+      group,
+      [
+        {
+          label: () => (virtualKeyboard.target === "search" ? "Search ⇄" : "URL ⇄"),
+          onSelect: () => setKeyboardTarget(virtualKeyboard.target === "search" ? "url" : "search"),
+        },
+        { label: getKeyboardDisplayText, width: 1.3 },
+      ],
+      0
+    );
+    display.userData.align = "left";
+
+    KEYBOARD_ROWS.forEach((keys, rowIndex) => {
+      const elements = [...keys].map((key) => ({
+        label: () => (virtualKeyboard.shift ? key.toUpperCase() : key),
+        onSelect: () => typeOnKeyboard(virtualKeyboard.shift ? key.toUpperCase() : key),
+        width: KEYBOARD_KEY_WIDTH,
+      }));
+      layoutControlRow(group, elements, -(rowIndex + 1) * step);
+    });
+
+    layoutControlRow(
+      group,
+      [
+        {
+          label: () => (virtualKeyboard.shift ? "⇧ On" : "⇧"),
+          onSelect: () => (virtualKeyboard.shift = !virtualKeyboard.shift),
+          width: 0.2,
+        },
+        { label: () => "Space", onSelect: () => typeOnKeyboard(" "), width: 0.5 },
+        { label: () => "⌫", onSelect: () => editKeyboardText((text) => text.slice(0, -1)), width: 0.2 },
+        { label: () => "Clear", onSelect: () => editKeyboardText(() => ""), width: 0.24 },
+        {
+          label: () => (virtualKeyboard.target === "url" ? "Play" : "Done"),
+          onSelect: submitKeyboard,
+          width: 0.24,
+        },
+      ],
+      -(KEYBOARD_ROWS.length + 1) * step
+    );
+  } catch (err) {
+    reportError("Virtual keyboard setup", err);
+  }
+}
+
+function toggleVirtualKeyboard() {
+  const { group } = virtualKeyboard;
+  if (!group) return;
+  group.visible = !group.visible;
+  announce(group.visible ? "Keyboard open" : "Keyboard closed");
+}
+
+function setKeyboardTarget(target) {
+  virtualKeyboard.target = target;
+  // URLs are mostly lower case; search ignores case anyway
+  virtualKeyboard.shift = false;
+}
+
+function getKeyboardDisplayText() {
+  const { target } = virtualKeyboard;
+  const text = target === "search" ? searchQuery : virtualKeyboard.url;
+  if (!text) return target === "search" ? "Type to filter categories" : "Type a video URL";
+
+  // long URLs: keep the end, where the typing happens, in view
+  const shown = text.length > 34 ? `…${text.slice(-33)}` : text;
+  return target === "search" ? `${shown}▌  ${panels.length}/${allPanels.length}` : `${shown}▌`;
+}
+
+function typeOnKeyboard(key) {
+  editKeyboardText((text) => text + key);
+}
+
+function editKeyboardText(edit) {
+  if (virtualKeyboard.target === "search") {
+    setSearchQuery(edit(searchQuery));
+  } else {
+    virtualKeyboard.url = edit(virtualKeyboard.url);
+  }
+}
+
+function submitKeyboard() {
+  const url = virtualKeyboard.url.trim();
+  if (virtualKeyboard.target === "url" && url) {
+    log("Video", "Manual URL (virtual keyboard): " + url);
+    ensureAudioEnabled();
+    playManualUrl(url);
+  }
+  toggleVirtualKeyboard();
+}
+
+function updateVirtualKeyboard() {
+  const { group } = virtualKeyboard;
+  if (!group || !group.visible) return;
+  group.children.forEach(drawControlLabel);
+}
+
+// ------- Phase 4: curved video screen -------
+function setupVideoScreen() {
+  try {
+    log("Video", "Setting up HTML video and curved screen");
+
+    // hidden; only ever seen through the VideoTexture
+    htmlVideo = document.createElement("video");
+    htmlVideo.setAttribute("webkit-playsinline", "");
+    htmlVideo.style.display = "none";
+    hostContainer.appendChild(htmlVideo);
+
+    htmlVideo.crossOrigin = "anonymous";
+    htmlVideo.muted = true;
+    htmlVideo.loop = false; // "repeat one" turns this on; otherwise "ended" advances
+    htmlVideo.playsInline = true;
+
+    readScreenSettingsFromQuery();
+
+    // pick an initial video: whatever the page URL links to, else the
+    // first category's first video
+    const link = readDeepLink();
+    const target = resolveDeepLink(link);
+    if (link.layout) setPanelLayoutMode(link.layout);
+    let initialUrl = null;
+    let initialType;
+    let initialEntry = null;
+    let initialTime = 0;
+
+    if (target) {
+      initialEntry = target.entry;
+      initialUrl = initialEntry.url;
+      initialType = initialEntry.type;
+      initialTime = link.time;
+      currentEntry = initialEntry;
+      if (target.item) {
+        currentItem = target.item;
+        currentPlaylistId = target.item.playlistId;
+        currentPlaylistIndex = target.index;
+      }
+    }
+
+    // Fallback to a known-good sample if anything is missing
+    if (!initialUrl) {
+      initialUrl =
+        "https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/BigBuckBunny.mp4";
+    }
+
+    setProjection(
+      link.projection || initialEntry?.projection,
+      link.stereo || initialEntry?.stereo
+    );
+    setVideoSource(initialUrl, initialType);
+    setCaptionTracks(initialEntry ? initialEntry.subtitles : []);
+
+    // Wait until the video has data before creating the texture + mesh
+    htmlVideo.addEventListener("loadeddata", () => {
+      log("Video", "loadeddata for " + htmlVideo.currentSrc);
+
+      // every later source reuses the same texture + mesh; only the
+      // geometry changes when the aspect ratio does
+      if (!curvedScreen) {
+        // create texture ONLY now
+        videoTexture = new THREE.VideoTexture(htmlVideo);
+        videoTexture.colorSpace = THREE.SRGBColorSpace; // new name instead of encoding
+
+        // shared by the flat and spherical screens and by both eyes
+        screenMaterial = new THREE.MeshBasicMaterial({
+          map: videoTexture,
+          side: THREE.DoubleSide, // make sure we always see it
+        });
+
+        curvedScreen = new THREE.Group();
+        curvedScreen.position.set(0, 0, -4.4);
+        stageGroup.add(curvedScreen);
+
+        sphereScreen = new THREE.Group();
+        scene.add(sphereScreen);
+
+        updateScreenAspect(true);
+        applyProjection();
+        if (initialTime > 0) {
+          htmlVideo.currentTime = initialTime;
+          log("Deep link", `Starting at ${formatTime(initialTime)}`);
+        }
+        playVideo(); // start playback after we’re fully ready
+      } else {
+        updateScreenAspect(false);
+      }
+    });
+
+    // remember where the viewer is, for resume and "Continue Watching"
+    htmlVideo.addEventListener("timeupdate", () => recordPlaybackPosition(false));
+    htmlVideo.addEventListener("pause", () => recordPlaybackPosition(true));
+    htmlVideo.addEventListener("ended", () => recordPlaybackPosition(true));
+    listen(window, "pagehide", () => recordPlaybackPosition(true));
+
+    // errors, stalls and recoveries (see "Playback health")
+    htmlVideo.addEventListener("error", onMediaElementError);
+    htmlVideo.addEventListener("waiting", () => armPlaybackWatchdog("stall", STALL_TIMEOUT_MS));
+    ["loadeddata", "canplay", "seeked"].forEach((type) =>
+      htmlVideo.addEventListener(type, clearPlaybackWatchdog)
+    );
+    // pausing ends a stall, but not a load still in progress
+    htmlVideo.addEventListener("pause", () => {
+      if (playbackWatchdog?.kind === "stall") clearPlaybackWatchdog();
+    });
+    htmlVideo.addEventListener("playing", onPlaybackHealthy);
+
+    // host page events
+    const playbackDetail = () => ({ entry: currentEntry, time: htmlVideo.currentTime });
+    htmlVideo.addEventListener("play", () => emit("play", playbackDetail()));
+    htmlVideo.addEventListener("pause", () => emit("pause", playbackDetail()));
+    htmlVideo.addEventListener("ended", () => emit("ended", playbackDetail()));
+  } catch (err) {
+    reportError("Video screen setup", err);
+    throw err;
+  }
+}
+
+
+
+function readScreenSettingsFromQuery() {
+  const params = new URLSearchParams(window.location.search);
+  const radius = parseFloat(params.get("screenRadius"));
+  const arc = parseFloat(params.get("screenArc"));
+
+  if (Number.isFinite(radius)) screenSettings.radius = THREE.MathUtils.clamp(radius, 1, 20);
+  if (Number.isFinite(arc)) screenSettings.arcDegrees = THREE.MathUtils.clamp(arc, 10, 180);
+}
+
+// Change radius and/or arc at runtime, e.g. setScreenShape({ arcDegrees: 110 }).
+function setScreenShape({ radius, arcDegrees } = {}) {
+  try {
+    if (Number.isFinite(radius)) screenSettings.radius = THREE.MathUtils.clamp(radius, 1, 20);
+    if (Number.isFinite(arcDegrees)) {
+      screenSettings.arcDegrees = THREE.MathUtils.clamp(arcDegrees, 10, 180);
+    }
+    rebuildScreenGeometry();
+  } catch (err) {
+    reportError("Screen shape", err);
+  }
+}
+
+// Reads the new source's proportions and rebuilds the geometry if they changed.
+// Stereo frames hold two eye images, so the per-eye aspect is what matters.
+function updateScreenAspect(force) {
+  const { videoWidth, videoHeight } = htmlVideo;
+  let aspect = videoWidth > 0 && videoHeight > 0 ? videoWidth / videoHeight : 16 / 9;
+  if (projection.stereo === "sbs") aspect /= 2;
+  if (projection.stereo === "tb") aspect *= 2;
+
+  if (!force && Math.abs(aspect - screenAspect) < 0.01) return;
+  screenAspect = aspect;
+  log("Video", `Aspect ratio ${aspect.toFixed(3)} (${videoWidth}×${videoHeight})`);
+  rebuildScreenGeometry();
+}
+
+function rebuildScreenGeometry() {
+  if (!curvedScreen) return;
+
+  const { radius, maxHeight, bottom } = screenSettings;
+  let arc = THREE.MathUtils.degToRad(screenSettings.arcDegrees);
+  let height = (radius * arc) / screenAspect;
+
+  // keep portrait / square videos from towering over the room
+  if (height > maxHeight) {
+    height = maxHeight;
+    arc = (height * screenAspect) / radius;
+  }
+
+  fillEyeMeshes(curvedScreen, createCurvedScreenGeometry(radius, arc, height));
+  curvedScreen.userData.height = height;
+  curvedScreen.userData.arc = arc;
+  curvedScreen.userData.edgeX = radius * Math.sin(arc / 2);
+  curvedScreen.userData.edgeZ = radius * (1 - Math.cos(arc / 2));
+  curvedScreen.userData.baseY = bottom + height / 2;
+  curvedScreen.position.y = curvedScreen.userData.baseY;
+}
+
+// Cylindrical segment facing +Z: the centre column sits at z = 0 and the
+// edges wrap towards the viewer, whose eye is at the centre of curvature.
+function createCurvedScreenGeometry(radius, arc, height, segments = 64) {
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const indices = [];
+
+  for (let i = 0; i <= segments; i++) {
+    const u = i / segments;
+    const theta = (u - 0.5) * arc;
+    const x = radius * Math.sin(theta);
+    const z = radius * (1 - Math.cos(theta));
+
+    for (let j = 0; j <= 1; j++) {
+      positions.push(x, (j - 0.5) * height, z);
+      normals.push(-Math.sin(theta), 0, Math.cos(theta));
+      uvs.push(u, j);
+    }
+  }
+
+  for (let i = 0; i < segments; i++) {
+    const a = i * 2;
+    indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(indices);
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+  geometry.setAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+  return geometry;
+}
+
+// Switch projection / stereo layout; missing values fall back to flat mono.
+function setProjection(mode = "flat", stereo = "mono") {
+  const nextMode = PROJECTION_MODES.includes(String(mode)) ? String(mode) : "flat";
+  const nextStereo = STEREO_MODES.includes(stereo) ? stereo : "mono";
+  if (nextMode === projection.mode && nextStereo === projection.stereo) return;
+
+  projection.mode = nextMode;
+  projection.stereo = nextStereo;
+  log("Projection", `Mode ${nextMode}, stereo ${nextStereo}`);
+
+  syncProjectionSelects();
+  if (curvedScreen) {
+    updateScreenAspect(true);
+    applyProjection();
+  }
+}
+
+function applyProjection() {
+  if (!curvedScreen || !sphereScreen) return;
+
+  const immersive = projection.mode !== "flat";
+  const wall = screenWall.layout === "wall"; // the tiles take the main screen's place
+  curvedScreen.visible = !immersive && !wall;
+  sphereScreen.visible = immersive && !wall;
+  // the room would sit inside the video sphere and block it, and in AR the
+  // real room takes its place
+  if (roomGroup) roomGroup.visible = (!immersive || wall) && !ar.active;
+
+  if (immersive) {
+    fillEyeMeshes(sphereScreen, createSphereScreenGeometry(projection.mode));
+    // equirect centre (u = 0.5) lands on -X; turn it to face forward (-Z)
+    sphereScreen.rotation.y = projection.mode === "360" ? -Math.PI / 2 : 0;
+  }
+
+  attachScreenAudio();
+  applyReverbPreset();
+}
+
+// Inward-facing sphere (360°) or front hemisphere (180°).
+function createSphereScreenGeometry(mode) {
+  const geometry =
+    mode === "180"
+      ? new THREE.SphereGeometry(SPHERE_RADIUS, 64, 32, Math.PI, Math.PI)
+      : new THREE.SphereGeometry(SPHERE_RADIUS, 64, 32);
+  geometry.scale(-1, 1, 1);
+  return geometry;
+}
+
+// Replaces a screen group's meshes: one on layer 0 for mono, or a left-eye
+// mesh on layer 1 and a right-eye mesh on layer 2 (the layers three.js
+// assigns to the XR eye cameras), each sampling its half of the frame.
+// Other children (the screen's PositionalAudio) stay attached.
+function fillEyeMeshes(group, geometry) {
+  group.children.slice().forEach((child) => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    group.remove(child);
+  });
+
+  if (projection.stereo === "mono") {
+    group.add(new THREE.Mesh(geometry, screenMaterial));
+    return;
+  }
+
+  [0, 1].forEach((eye) => {
+    const eyeGeometry = geometry.clone();
+    remapStereoUVs(eyeGeometry, projection.stereo, eye);
+    const mesh = new THREE.Mesh(eyeGeometry, screenMaterial);
+    mesh.layers.set(eye + 1);
+    group.add(mesh);
+  });
+  geometry.dispose();
+}
+
+// Side-by-side: left eye is the left half. Top-bottom: left eye is the top
+// half (v = 1 is the top row because video textures are flipped on upload).
+function remapStereoUVs(geometry, stereo, eye) {
+  const uv = geometry.attributes.uv;
+  for (let i = 0; i < uv.count; i++) {
+    if (stereo === "sbs") {
+      uv.setX(i, uv.getX(i) * 0.5 + eye * 0.5);
+    } else {
+      uv.setY(i, uv.getY(i) * 0.5 + (eye === 0 ? 0.5 : 0));
+    }
+  }
+  uv.needsUpdate = true;
+}
+
+function syncProjectionSelects() {
+  const modeSelect = document.getElementById("projection-mode");
+  const stereoSelect = document.getElementById("stereo-mode");
+  if (modeSelect) modeSelect.value = projection.mode;
+  if (stereoSelect) stereoSelect.value = projection.stereo;
+}
+
+function getProjectionSelects() {
+  const modeSelect = document.getElementById("projection-mode");
+  const stereoSelect = document.getElementById("stereo-mode");
+  return {
+    mode: modeSelect ? modeSelect.value : "flat",
+    stereo: stereoSelect ? stereoSelect.value : "mono",
+  };
+}
+
+// ------- Phase 4b: in-VR control bar -------
+// Mesh buttons under the screen mirroring the #ui bar, so playback stays
+// reachable once the DOM overlay is gone in an immersive session.
+const CONTROL_BUTTON_WIDTH = 0.3;
+const CONTROL_BUTTON_HEIGHT = 0.14;
+const CONTROL_GAP = 0.04;
+
+function setupControlBar() {
+  try {
+    log("ControlBar", "Building in-scene playback controls");
+
+    controlBar = new THREE.Group();
+    controlBar.visible = false; // shown once the screen exists
+    stageGroup.add(controlBar);
+
+    // row 0: transport, row 1: audio / captions / playback modes
+    const rows = [
+      [
+        { label: () => "|« Prev", onSelect: playPrevious },
+        { label: () => "« 10s", onSelect: () => seekBy(-10) },
+        { label: () => (isPlaying ? "Pause" : "Play"), onSelect: togglePlayPause },
+        { label: () => "10s »", onSelect: () => seekBy(10) },
+        { label: () => "Next »|", onSelect: () => playNext(false) },
+        { label: getTimeReadout, width: 0.52 },
+      ],
+      [
+        { label: () => (playbackMuted ? "Unmute" : "Mute"), onSelect: toggleMute },
+        { label: () => "- Vol", onSelect: () => changeVolume(-0.1) },
+        { label: () => "+ Vol", onSelect: () => changeVolume(0.1) },
+        { label: () => `Vol ${Math.round(playbackVolume * 100)}%` },
+        { label: getCaptionButtonLabel, onSelect: cycleCaptions },
+        { label: () => (shuffleEnabled ? "Shuffle On" : "Shuffle Off"), onSelect: toggleShuffle },
+        { label: getRepeatLabel, onSelect: cycleRepeatMode },
+        { label: () => "Search ⌨", onSelect: toggleVirtualKeyboard },
+        { label: getScreenLayoutLabel, onSelect: cycleScreenLayout, width: 0.42 },
+      ],
+    ];
+
+    rows.forEach((elements, rowIndex) => {
+      const y = -rowIndex * (CONTROL_BUTTON_HEIGHT + CONTROL_GAP);
+      layoutControlRow(controlBar, elements, y);
+    });
+  } catch (err) {
+    reportError("Control bar setup", err);
+    // desktop DOM controls still work without it
+  }
+}
+
+// Centres a row of controls at height `y` inside `group`.
+function layoutControlRow(group, elements, y) {
+  const widths = elements.map((el) => el.width || CONTROL_BUTTON_WIDTH);
+  const total = widths.reduce((sum, w) => sum + w, 0) + CONTROL_GAP * (elements.length - 1);
+  let x = -total / 2;
+
+  return elements.map((el, index) => {
+    const width = widths[index];
+    const mesh = createControlMesh(width, CONTROL_BUTTON_HEIGHT, !!el.onSelect);
+    mesh.position.set(x + width / 2, y, 0);
+    mesh.userData.label = el.label;
+    mesh.userData.onSelect = el.onSelect || null;
+    x += width + CONTROL_GAP;
+
+    drawControlLabel(mesh);
+    group.add(mesh);
+    if (el.onSelect) controlButtons.push(mesh);
+    return mesh;
+  });
+}
+
+function createControlMesh(width, height, interactive) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * 800);
+  canvas.height = Math.round(height * 800);
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.colorSpace = THREE.SRGBColorSpace;
+
+  const mat = new THREE.MeshStandardMaterial({
+    map: tex,
+    roughness: 0.6,
+    metalness: 0.0,
+    transparent: true,
+  });
+  mat.emissive = new THREE.Color(0x000000);
+  mat.emissiveIntensity = 0.0;
+
+  const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), mat);
+  mesh.userData.canvas = canvas;
+  mesh.userData.interactive = interactive;
+  mesh.userData.drawnText = null;
+  return mesh;
+}
+
+// Redraws a control's canvas only when its text actually changed.
+function drawControlLabel(mesh) {
+  const text = mesh.userData.label();
+  if (text === mesh.userData.drawnText) return;
+  mesh.userData.drawnText = text;
+
+  const canvas = mesh.userData.canvas;
+  const ctx = canvas.getContext("2d");
+  const radius = canvas.height / 2;
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.beginPath();
+  ctx.roundRect(0, 0, canvas.width, canvas.height, radius);
+  ctx.fillStyle = mesh.userData.interactive
+    ? "rgba(91, 108, 255, 0.85)"
+    : "rgba(5, 8, 20, 0.85)";
+  ctx.fill();
+
+  ctx.fillStyle = "#ffffff";
+  ctx.font = `600 ${Math.round(canvas.height * 0.45)}px system-ui`;
+  ctx.textBaseline = "middle";
+  const padding = radius * 0.8;
+  const fitted = fitText(ctx, text, canvas.width - padding * 2);
+  if (mesh.userData.align === "left") {
+    ctx.textAlign = "left";
+    ctx.fillText(fitted, padding, canvas.height / 2);
+  } else {
+    ctx.textAlign = "center";
+    ctx.fillText(fitted, canvas.width / 2, canvas.height / 2);
+  }
+
+  mesh.material.map.needsUpdate = true;
+}
+
+// Shortens `text` with an ellipsis until it fits in `maxWidth` pixels.
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(text.slice(0, end) + "…").width > maxWidth) end--;
+  return text.slice(0, end) + "…";
+}
+
+function updateControlBar() {
+  if (!controlBar) return;
+  controlBar.visible = !!curvedScreen && screenWall.layout !== "wall";
+  if (!controlBar.visible) return;
+
+  // ride just below the screen's lower edge (leaving room for the
+  // timeline), slightly in front of it
+  const screenHeight = curvedScreen.userData.height || 0;
+  controlBar.position.set(
+    curvedScreen.position.x,
+    curvedScreen.position.y - screenHeight / 2 - 0.22,
+    curvedScreen.position.z + 0.15
+  );
+  controlBar.children.forEach((mesh) => {
+    if (mesh.userData.label) drawControlLabel(mesh);
+  });
+}
+
+function getTimeReadout() {
+  if (!htmlVideo) return "0:00 / 0:00";
+  return `${formatTime(htmlVideo.currentTime)} / ${formatTime(htmlVideo.duration)}`;
+}
+
+function formatTime(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return "0:00";
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+// ------- Phase 4c: captions (WebVTT) -------
+// Cues come from <track> elements in "hidden" mode so the browser parses and
+// times them, while the text itself is drawn into a canvas texture near the
+// screen where it stays readable in VR.
+function setupCaptions() {
+  try {
+    log("Captions", "Creating caption plane");
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 1024;
+    canvas.height = 256;
+
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.colorSpace = THREE.SRGBColorSpace;
+
+    const mat = new THREE.MeshBasicMaterial({
+      map: tex,
+      transparent: true,
+      depthWrite: false,
+    });
+    captionMesh = new THREE.Mesh(new THREE.PlaneGeometry(2.0, 0.5), mat);
+    captionMesh.userData.canvas = canvas;
+    captionMesh.visible = false;
+    captionMesh.renderOrder = 1; // drawn over the screen
+    stageGroup.add(captionMesh);
+  } catch (err) {
+    reportError("Captions setup", err);
+  }
+}
+
+// Replace the current video's tracks with the playlist entry's subtitles.
+function setCaptionTracks(subtitles) {
+  try {
+    if (!htmlVideo) return;
+
+    htmlVideo.querySelectorAll("track").forEach((el) => el.remove());
+    captionTracks = [];
+    activeCaptionTrack = null;
+    drawCaptionCues([]);
+
+    subtitles.forEach((sub) => {
+      const el = document.createElement("track");
+      el.kind = "subtitles";
+      el.srclang = sub.lang;
+      el.label = sub.label;
+      el.src = sub.src;
+      htmlVideo.appendChild(el);
+      el.track.mode = "disabled";
+      el.addEventListener("error", () => {
+        reportError("Captions", new Error(`Could not load ${sub.label} track (${sub.src})`));
+      });
+      captionTracks.push({ lang: sub.lang, label: sub.label, track: el.track, isDefault: sub.default });
+    });
+
+    // keep the viewer's language across videos when it is available
+    const preferred =
+      captionTracks.find((t) => t.lang === preferredCaptionLang) ||
+      captionTracks.find((t) => t.isDefault) ||
+      captionTracks[0] ||
+      null;
+    selectCaptionTrack(preferred && captionsEnabled ? preferred.lang : null, false);
+    refreshCaptionControls();
+  } catch (err) {
+    reportError("Captions tracks", err);
+  }
+}
+
+// lang === null turns captions off. `remember` records an explicit user
+// choice so later videos open in the same language.
+function selectCaptionTrack(lang, remember = true) {
+  captionTracks.forEach((t) => {
+    t.track.removeEventListener("cuechange", onCueChange);
+    t.track.mode = "disabled";
+  });
+
+  activeCaptionTrack = captionTracks.find((t) => t.lang === lang) || null;
+  if (activeCaptionTrack) {
+    activeCaptionTrack.track.mode = "hidden";
+    activeCaptionTrack.track.addEventListener("cuechange", onCueChange);
+  }
+
+  if (remember) {
+    captionsEnabled = !!activeCaptionTrack;
+    if (activeCaptionTrack) preferredCaptionLang = activeCaptionTrack.lang;
+    log("Captions", activeCaptionTrack ? `Showing ${activeCaptionTrack.label}` : "Captions off");
+    announce(activeCaptionTrack ? `Captions: ${activeCaptionTrack.label}` : "Captions off");
+  }
+
+  drawCaptionCues(activeCaptionTrack ? getActiveCueTexts() : []);
+  refreshCaptionControls();
+}
+
+function toggleCaptions() {
+  if (activeCaptionTrack) {
+    selectCaptionTrack(null);
+    return;
+  }
+  const preferred =
+    captionTracks.find((t) => t.lang === preferredCaptionLang) || captionTracks[0];
+  if (preferred) selectCaptionTrack(preferred.lang);
+}
+
+// In-scene CC button: Off → each language in turn → Off.
+function cycleCaptions() {
+  if (captionTracks.length === 0) return;
+  const index = captionTracks.indexOf(activeCaptionTrack);
+  const next = captionTracks[index + 1];
+  selectCaptionTrack(next ? next.lang : null);
+}
+
+function getCaptionButtonLabel() {
+  if (captionTracks.length === 0) return "No CC";
+  return activeCaptionTrack ? `CC ${activeCaptionTrack.lang.toUpperCase()}` : "CC Off";
+}
+
+function onCueChange() {
+  drawCaptionCues(getActiveCueTexts());
+}
+
+function getActiveCueTexts() {
+  const cues = activeCaptionTrack?.track.activeCues;
+  if (!cues) return [];
+  return Array.from(cues, (cue) => cleanCueText(cue.text));
+}
+
+// Drop WebVTT markup (<i>, <v Speaker>, timestamps) and common entities.
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+function drawCaptionCues(texts) {
+  if (!captionMesh) return;
+
+  const canvas = captionMesh.userData.canvas;
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const lines = [];
+  ctx.font = "600 44px system-ui";
+  texts.forEach((text) => {
+    text.split("\n").forEach((line) => lines.push(...wrapCaptionLine(ctx, line, canvas.width - 80)));
+  });
+  // at most three lines fit; keep the most recent ones
+  const shown = lines.filter(Boolean).slice(-3);
+
+  captionMesh.visible = shown.length > 0;
+  if (!captionMesh.visible) return;
+
+  const lineHeight = 60;
+  const top = canvas.height - shown.length * lineHeight - 10;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  shown.forEach((line, i) => {
+    const y = top + i * lineHeight + lineHeight / 2;
+    const width = ctx.measureText(line).width + 40;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect((canvas.width - width) / 2, y - lineHeight / 2, width, lineHeight);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(line, canvas.width / 2, y);
+  });
+
+  captionMesh.material.map.needsUpdate = true;
+}
+
+function wrapCaptionLine(ctx, line, maxWidth) {
+  const words = line.split(/\s+/);
+  const wrapped = [];
+  let current = "";
+
+  words.forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && ctx.measureText(candidate).width > maxWidth) {
+      wrapped.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) wrapped.push(current);
+  return wrapped;
+}
+
+// Sits over the lower part of the screen, just above the control bar; in
+// 180°/360° modes the screen is hidden but the bar (and so the captions) stay.
+function updateCaptionPlacement() {
+  if (!captionMesh || !controlBar || !captionMesh.visible) return;
+  captionMesh.position.set(
+    controlBar.position.x,
+    controlBar.position.y + 0.4,
+    controlBar.position.z + 0.1
+  );
+}
+
+function refreshCaptionControls() {
+  const toggleBtn = document.getElementById("captions");
+  const langSelect = document.getElementById("caption-lang");
+
+  if (toggleBtn) {
+    toggleBtn.disabled = captionTracks.length === 0;
+    toggleBtn.textContent = activeCaptionTrack ? "CC On" : "CC Off";
+    toggleBtn.setAttribute("aria-pressed", String(!!activeCaptionTrack));
+  }
+
+  if (langSelect) {
+    langSelect.hidden = captionTracks.length < 2;
+    langSelect.innerHTML = "";
+    captionTracks.forEach((t) => {
+      const option = document.createElement("option");
+      option.value = t.lang;
+      option.textContent = t.label;
+      langSelect.appendChild(option);
+    });
+    const shownLang = activeCaptionTrack?.lang || preferredCaptionLang;
+    if (captionTracks.some((t) => t.lang === shownLang)) langSelect.value = shownLang;
+  }
+}
+
+// ------- Watch history (resume where you left off) -------
+function loadWatchHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || "null");
+    if (stored && typeof stored === "object") {
+      watchHistory = {
+        positions: stored.positions || {},
+        playlistIndex: stored.playlistIndex || {},
+      };
+    }
+  } catch (err) {
+    // corrupt or blocked storage only costs us the history
+    reportError("Watch history load", err);
+  }
+}
+
+function saveWatchHistory() {
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(watchHistory));
+  } catch (err) {
+    reportError("Watch history save", err);
+  }
+}
+
+// A video counts as unfinished once it is past the intro and short of the credits.
+function isUnfinished(time, duration) {
+  return time >= 10 && duration - time > 15 && time / duration < 0.95;
+}
+
+function getSavedPosition(url) {
+  const saved = watchHistory.positions[url];
+  return saved && isUnfinished(saved.time, saved.duration) ? saved.time : 0;
+}
+
+// Throttled to one write every few seconds unless `force` is set.
+function recordPlaybackPosition(force) {
+  try {
+    const url = currentSourceUrl;
+    // object URLs die with the page, so there is nothing to resume later
+    if (!htmlVideo || !url || url.startsWith("blob:")) return;
+    // mid-load / mid-seek times belong to neither the old nor the new position
+    if (htmlVideo.readyState < 2 || htmlVideo.seeking) return;
+
+    const now = Date.now();
+    if (!force && now - lastHistorySave < 5000) return;
+    lastHistorySave = now;
+
+    const time = htmlVideo.currentTime;
+    const duration = htmlVideo.duration;
+    // live streams report an infinite duration and cannot be resumed
+    if (!Number.isFinite(duration) || duration <= 0) return;
+
+    if (isUnfinished(time, duration)) {
+      watchHistory.positions[url] = {
+        time,
+        duration,
+        title: currentEntry?.title || titleFromUrl(url),
+        updatedAt: now,
+      };
+    } else {
+      delete watchHistory.positions[url];
+    }
+
+    // only keep the most recent positions
+    const urls = Object.keys(watchHistory.positions).sort(
+      (a, b) => watchHistory.positions[b].updatedAt - watchHistory.positions[a].updatedAt
+    );
+    urls.slice(HISTORY_MAX_POSITIONS).forEach((old) => delete watchHistory.positions[old]);
+
+    saveWatchHistory();
+
+    // show or drop the Continue Watching card when it starts / stops applying
+    if (panelGroup && !!findPanelItem(CONTINUE_PLAYLIST_ID) !== getUnfinishedUrls().length > 0) {
+      updateContinuePanel();
+    }
+  } catch (err) {
+    reportError("Watch history", err);
+  }
+}
+
+function rememberPlaylistIndex(playlistId, index) {
+  // generated playlists are different lists next time
+  if (playlistId === CONTINUE_PLAYLIST_ID || playlistId === LOCAL_PLAYLIST_ID) return;
+  watchHistory.playlistIndex[playlistId] = index;
+  saveWatchHistory();
+}
+
+// Where activating a category should pick up: its last index and, if that
+// video was left unfinished, the saved time.
+function getResumePoint(playlistId) {
+  const list = playlists[playlistId] || [];
+  let index = watchHistory.playlistIndex[playlistId] || 0;
+  if (index >= list.length) index = 0;
+
+  const entry = list[index];
+  return { index, time: entry ? getSavedPosition(entry.url) : 0 };
+}
+
+function getUnfinishedUrls() {
+  return Object.keys(watchHistory.positions)
+    .filter((url) => getSavedPosition(url) > 0)
+    .sort((a, b) => watchHistory.positions[b].updatedAt - watchHistory.positions[a].updatedAt);
+}
+
+// Rebuilds the generated playlist and returns its card item, or null when
+// nothing is unfinished.
+function buildContinueWatchingItem() {
+  const entries = getUnfinishedUrls()
+    .slice(0, CONTINUE_MAX_ENTRIES)
+    .map(
+      (url) =>
+        findCatalogEntry(url) || {
+          url,
+          title: watchHistory.positions[url].title,
+          subtitles: [],
+        }
+    );
+
+  if (entries.length === 0) {
+    delete playlists[CONTINUE_PLAYLIST_ID];
+    return null;
+  }
+
+  playlists[CONTINUE_PLAYLIST_ID] = entries;
+  return {
+    id: CONTINUE_PLAYLIST_ID,
+    title: "Continue Watching",
+    color: 0x57ffb0,
+    description: `${entries.length} unfinished video${entries.length === 1 ? "" : "s"}.`,
+    playlistId: CONTINUE_PLAYLIST_ID,
+    generated: true,
+  };
+}
+
+function findCatalogEntry(url) {
+  for (const [playlistId, list] of Object.entries(playlists)) {
+    if (playlistId === CONTINUE_PLAYLIST_ID) continue;
+    const entry = list.find((e) => e.url === url);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+function titleFromUrl(url) {
+  try {
+    const name = new URL(url).pathname.split("/").pop();
+    return decodeURIComponent(name) || url;
+  } catch (err) {
+    return url;
+  }
+}
+
+// ------- Video control helpers -------
+let isPlaying = false;
+
+function playVideo() {
+  if (!htmlVideo) return;
+
+  const { signal } = lifecycle;
+  htmlVideo
+    .play()
+    .then(() => {
+      if (signal.aborted) return;
+      isPlaying = true;
+      const btn = document.getElementById("play-pause");
+      if (btn) btn.textContent = "Pause";
+      if (overlayError) overlayError.textContent = "";
+      log("Video", "Playback started: " + htmlVideo.currentSrc);
+    })
+    .catch((err) => {
+      if (signal.aborted) return;
+      const msg = err?.message || "";
+      // Ignore noisy "interrupted by a new load request" / AbortError
+      if (
+        err.name === "AbortError" ||
+        msg.includes("interrupted by a new load request")
+      ) {
+        console.warn(
+          "[VibeSphere][Video] Play interrupted by new load request (safe to ignore)"
+        );
+        return;
+      }
+      reportError("Video play", err);
+    });
+}
+
+function ensureAudioEnabled() {
+  try {
+    if (!htmlVideo || audioEnabled) return;
+    playbackMuted = false;
+    playbackVolume = 1.0;
+    audioEnabled = true;
+    ensureSpatialAudio();
+    applyPlaybackVolume();
+    log("Audio", "Audio unmuted and volume set to 1.0");
+  } catch (err) {
+    reportError("ensureAudioEnabled", err);
+  }
+}
+
+
+function updateAudioButtonLabel() {
+  const btn = document.getElementById("unmute");
+  if (!btn || !htmlVideo) return;
+  btn.textContent = playbackMuted ? "Unmute" : "Mute";
+}
+
+function toggleMute() {
+  try {
+    if (!htmlVideo) return;
+
+    if (playbackMuted || playbackVolume === 0) {
+      playbackMuted = false;
+      playbackVolume = 1.0;
+      audioEnabled = true;
+      ensureSpatialAudio();
+      log("Audio", "Unmuted");
+      announce("Unmuted");
+    } else {
+      playbackMuted = true;
+      log("Audio", "Muted");
+      announce("Muted");
+    }
+
+    applyPlaybackVolume();
+  } catch (err) {
+    reportError("toggleMute", err);
+  }
+}
+
+function updateVolumeLabel() {
+  const label = document.getElementById("volume-label");
+  if (!label || !htmlVideo) return;
+
+  const percent = Math.round(playbackVolume * 100);
+  label.textContent = `Vol: ${percent}%`;
+}
+
+
+function changeVolume(delta) {
+  try {
+    if (!htmlVideo) return;
+
+    let newVol = playbackVolume + delta;
+    newVol = Math.max(0, Math.min(1, newVol));
+    playbackVolume = newVol;
+
+    if (newVol > 0) {
+      playbackMuted = false;
+      audioEnabled = true;
+      ensureSpatialAudio();
+    }
+
+    log("Volume", `Set volume to ${Math.round(newVol * 100)}%`);
+    announce(`Volume ${Math.round(newVol * 100)}%`);
+
+    applyPlaybackVolume(); // also updates the UI
+  } catch (err) {
+    reportError("changeVolume", err);
+  }
+}
+
+
+
+function seekBy(deltaSeconds) {
+  try {
+    if (!htmlVideo) return;
+
+    if (Number.isNaN(htmlVideo.currentTime)) return;
+
+    const duration = htmlVideo.duration || 0;
+    let target = htmlVideo.currentTime + deltaSeconds;
+
+    if (target < 0) target = 0;
+    if (duration && target > duration - 0.1) {
+      // avoid instantly triggering "ended" event
+      target = duration - 0.1;
+    }
+
+    htmlVideo.currentTime = target;
+    log("Seek", `Jumped by ${deltaSeconds}s to ${target.toFixed(2)}s`);
+    announce(`At ${formatTime(target)}`);
+  } catch (err) {
+    reportError("Seek", err);
+  }
+}
+
+// `startTime` seeks once the video has data; when omitted, entries of the
+// Continue Watching playlist resume at their saved time. `fromHistory` is
+// set by "previous" so stepping back does not grow the back stack.
+function playFromPlaylist(playlistId, startIndex = 0, startTime, { fromHistory = false } = {}) {
+  try {
+    const list = playlists[playlistId];
+    if (!list || list.length === 0) {
+      reportError("Playlist", new Error(`No videos for playlist '${playlistId}'`));
+      return;
+    }
+
+    if (!fromHistory) pushBackStack();
+
+    currentPlaylistId = playlistId;
+    currentPlaylistIndex = startIndex % list.length;
+    playingFromQueue = false;
+    rememberPlaylistIndex(playlistId, currentPlaylistIndex);
+    syncShuffleOrder();
+
+    const entry = list[currentPlaylistIndex];
+    log("Playlist", `Playing [${playlistId}] index ${currentPlaylistIndex}: ${entry.url}`);
+
+    const resumeAt =
+      startTime !== undefined
+        ? startTime
+        : playlistId === CONTINUE_PLAYLIST_ID
+          ? getSavedPosition(entry.url)
+          : 0;
+
+    playEntry(entry, resumeAt);
+  } catch (err) {
+    reportError("playFromPlaylist", err);
+  }
+}
+
+// Loads one entry (playlist item, queued item or manual URL) onto the screen.
+function playEntry(entry, startTime = 0) {
+  // save where the previous video stopped before switching away from it
+  recordPlaybackPosition(true);
+  currentEntry = entry;
+  if (localSingleUrl && entry.url !== localSingleUrl) {
+    revokeLocalUrls([localSingleUrl]);
+    localSingleUrl = null;
+  }
+
+  htmlVideo.pause();
+  isPlaying = false;
+  htmlVideo.loop = repeatMode === "one";
+  announce(`Playing ${describeNowPlaying(entry)}`);
+  setProjection(entry.projection, entry.stereo);
+  beginPlaybackAttempt(entry.url);
+  setVideoSource(entry.url, entry.type);
+  setCaptionTracks(entry.subtitles || []);
+  if (videoTexture) videoTexture.needsUpdate = true;
+
+  htmlVideo.onloadeddata = () => {
+    if (startTime > 0) {
+      htmlVideo.currentTime = startTime;
+      log("History", `Resuming at ${formatTime(startTime)}`);
+    }
+    playVideo();
+  };
+
+  // queue first, then the playlist according to shuffle / repeat
+  htmlVideo.onended = () => playNext(true);
+
+  updateDeepLink(deepLink.pushNext, startTime);
+  deepLink.pushNext = false;
+
+  broadcastPartyState("load", { time: startTime, playing: true });
+}
+
+function playManualUrl(url) {
+  const selected = getProjectionSelects();
+  beginDeepLinkNavigation();
+  pushBackStack();
+  currentPlaylistId = null; // stop playlist logic
+  playingFromQueue = false;
+  playEntry({
+    url,
+    title: titleFromUrl(url),
+    projection: selected.mode,
+    stereo: selected.stereo,
+    subtitles: [],
+  });
+}
+
+// ------- Local media (drag-and-drop + file / folder pickers) -------
+
+// Local files play through object URLs on the same htmlVideo / VideoTexture
+// as remote ones. The URLs are never revoked: they only reference the files
+// on disk, and the back stack may still point at them.
+function setupLocalMedia() {
+  try {
+    const fileInput = document.getElementById("file-picker");
+    const folderInput = document.getElementById("folder-picker");
+    const dropHint = document.getElementById("drop-hint");
+
+    listen(document.getElementById("open-files"), "click", () => fileInput?.click());
+    listen(document.getElementById("open-folder"), "click", () => folderInput?.click());
+    [fileInput, folderInput].forEach((input) => {
+      listen(input, "change", () => {
+        loadLocalFiles([...input.files]);
+        input.value = ""; // so picking the same files again still fires "change"
+      });
+    });
+
+    // dragenter / dragleave fire for every element crossed, so count them
+    let dragDepth = 0;
+    const isFileDrag = (event) => event.dataTransfer?.types.includes("Files");
+    listen(window, "dragenter", (event) => {
+      if (!isFileDrag(event)) return;
+      event.preventDefault();
+      dragDepth++;
+      if (dropHint) dropHint.hidden = false;
+    });
+    listen(window, "dragleave", (event) => {
+      if (!isFileDrag(event)) return;
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0 && dropHint) dropHint.hidden = true;
+    });
+    listen(window, "dragover", (event) => {
+      if (!isFileDrag(event)) return;
+      event.preventDefault(); // otherwise the browser navigates to the file
+      event.dataTransfer.dropEffect = "copy";
+    });
+    listen(window, "drop", async (event) => {
+      if (!isFileDrag(event)) return;
+      event.preventDefault();
+      dragDepth = 0;
+      if (dropHint) dropHint.hidden = true;
+      const { signal } = lifecycle;
+      try {
+        const files = await collectDroppedFiles(event.dataTransfer);
+        if (!signal.aborted) loadLocalFiles(files);
+      } catch (err) {
+        reportError("File drop", err);
+      }
+    });
+  } catch (err) {
+    reportError("Local media setup", err);
+  }
+}
+
+// Dropped folders arrive as directory entries and have to be walked. The
+// DataTransfer is emptied once the drop handler returns, so everything is
+// read from it before the first await.
+async function collectDroppedFiles(dataTransfer) {
+  const files = [...dataTransfer.files];
+  const entries = [...dataTransfer.items]
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.());
+  if (!entries.some((entry) => entry?.isDirectory)) return files;
+
+  const collected = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      collected.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries hands out batches until it returns an empty one
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await walk(child);
+      } while (batch.length > 0);
+    }
+  };
+  for (const entry of entries) {
+    if (entry) await walk(entry);
+  }
+  return collected;
+}
+
+function isLocalVideoFile(file) {
+  const extension = file.name.split(".").pop().toLowerCase();
+  return file.type.startsWith("video/") || LOCAL_VIDEO_EXTENSIONS.includes(extension);
+}
+
+// One file plays on its own like a typed URL, until something else plays;
+// several (or a folder) become the "Local Media" playlist, with its own
+// panel, until other files replace them.
+function loadLocalFiles(files) {
+  try {
+    const path = (file) => file.webkitRelativePath || file.name;
+    const videos = files
+      .filter(isLocalVideoFile)
+      .sort((a, b) => path(a).localeCompare(path(b), undefined, { numeric: true }));
+    if (videos.length === 0) {
+      if (files.length > 0) reportError("Local media", new Error("None of those files are videos"));
+      return;
+    }
+
+    ensureAudioEnabled();
+    const selected = getProjectionSelects();
+    const entries = videos.map((file) => ({
+      url: URL.createObjectURL(file),
+      title: file.name.replace(/\.[^.]+$/, ""),
+      projection: selected.mode,
+      stereo: selected.stereo,
+      subtitles: [],
+    }));
+    log("Local", `Opened ${entries.length} local video${entries.length === 1 ? "" : "s"}`);
+
+    if (entries.length === 1) {
+      pushBackStack();
+      currentPlaylistId = null;
+      playingFromQueue = false;
+      playEntry(entries[0]);
+      localSingleUrl = entries[0].url;
+      return;
+    }
+
+    const replaced = localEntries;
+    localEntries = entries;
+    setupPanels();
+    currentItem = panels.find((panel) => panel.userData.item.id === LOCAL_PLAYLIST_ID)?.userData.item;
+    playFromPlaylist(LOCAL_PLAYLIST_ID, 0);
+    if (screenWall.layout !== "single") populateSecondaryScreens();
+    revokeLocalUrls(replaced.map((entry) => entry.url));
+  } catch (err) {
+    reportError("Local media", err);
+  }
+}
+
+// Frees the files behind object URLs that can no longer play, and forgets
+// them in "previous" and the queue.
+function revokeLocalUrls(urls) {
+  if (urls.length === 0) return;
+  urls.forEach((url) => URL.revokeObjectURL(url));
+  backStack = backStack.filter(({ entry }) => !urls.includes(entry.url));
+  userQueue = userQueue.filter((entry) => !urls.includes(entry.url));
+  refreshQueueViews();
+}
+
+// Registers the local playlist and returns its card item, or null when no
+// local files have been opened.
+function buildLocalMediaItem() {
+  if (localEntries.length === 0) return null;
+
+  playlists[LOCAL_PLAYLIST_ID] = localEntries;
+  return {
+    id: LOCAL_PLAYLIST_ID,
+    title: "Local Media",
+    color: 0xffb657,
+    description: `${localEntries.length} videos from this device.`,
+    playlistId: LOCAL_PLAYLIST_ID,
+    generated: true,
+  };
+}
+
+// ------- Deep links (page URL <-> what is playing, via the History API) -------
+
+// ?item=gaming&video=2&t=83 for catalog videos, ?url=...&t=83 for anything
+// else. Panel activations and typed URLs push a history entry, so Back /
+// Forward step between them; playlist advances and the clock only replace.
+function setupDeepLinks() {
+  if (instanceOptions.deepLinks === false) return;
+  try {
+    listen(window, "popstate", () => {
+      deepLink.restoring = true;
+      try {
+        applyDeepLink(readDeepLink());
+      } catch (err) {
+        reportError("Deep link navigation", err);
+      } finally {
+        deepLink.restoring = false;
+      }
+    });
+
+    htmlVideo.addEventListener("timeupdate", () => syncDeepLinkTime(false));
+    htmlVideo.addEventListener("pause", () => syncDeepLinkTime(true));
+    htmlVideo.addEventListener("seeked", () => syncDeepLinkTime(true));
+
+    listen(document.getElementById("copy-link"), "click", copyDeepLink);
+  } catch (err) {
+    reportError("Deep links setup", err);
+  }
+}
+
+function readDeepLink() {
+  // an embed that opts out ignores the page URL entirely
+  const params = new URLSearchParams(
+    instanceOptions.deepLinks === false ? "" : window.location.search
+  );
+  const video = parseInt(params.get("video"), 10);
+  const time = parseFloat(params.get("t"));
+  const url = params.get("url");
+  return {
+    item: params.get("item"),
+    index: video > 0 ? video - 1 : 0,
+    time: time > 0 ? time : 0,
+    url: url && /^https?:/i.test(url) ? url : null,
+    projection: params.get("projection"),
+    stereo: params.get("stereo"),
+    layout: params.get("layout"),
+  };
+}
+
+// What a link points at: { item, index, entry } for a catalog playlist
+// position, { entry } for a bare URL. Unknown items fall back to the first.
+function resolveDeepLink(link) {
+  if (link.url) {
+    return {
+      entry: findCatalogEntry(link.url) || {
+        url: link.url,
+        title: titleFromUrl(link.url),
+        subtitles: [],
+      },
+    };
+  }
+
+  // catalog ids may be numbers; the query string only has strings
+  const linked = trendingItems.find((item) => String(item.id) === link.item);
+  const item = linked || trendingItems[0];
+  const list = item ? playlists[item.playlistId] : null;
+  if (!list || list.length === 0) return null;
+
+  const index = linked ? Math.min(link.index, list.length - 1) : 0;
+  return { item, index, entry: list[index] };
+}
+
+// popstate: play what the restored URL describes (setupVideoScreen handles
+// the link the page was opened with).
+function applyDeepLink(link) {
+  const layout = link.layout === "grid" ? "grid" : "arc";
+  if (layout !== panelLayout.mode) setPanelLayoutMode(layout);
+
+  const target = resolveDeepLink(link);
+  if (!target) return;
+
+  if (target.item) {
+    currentItem = target.item;
+    playFromPlaylist(target.item.playlistId, target.index, link.time);
+  } else {
+    pushBackStack();
+    currentPlaylistId = null;
+    playingFromQueue = false;
+    playEntry(target.entry, link.time);
+  }
+  if (link.projection || link.stereo) {
+    setProjection(link.projection || target.entry.projection, link.stereo || target.entry.stereo);
+  }
+  log("Deep link", `Restored ${window.location.search || "default view"}`);
+}
+
+// Called before a user-chosen switch: stamps the outgoing video's time on
+// its own history entry, then has the next playEntry push a new one.
+function beginDeepLinkNavigation() {
+  if (deepLink.restoring) return;
+  updateDeepLink(false);
+  deepLink.pushNext = true;
+}
+
+// Writes the current state into the page URL. Returns false when there is
+// nothing linkable (no video yet, or a local file).
+function updateDeepLink(push = false, time = htmlVideo?.currentTime || 0) {
+  try {
+    const entry = currentEntry;
+    if (instanceOptions.deepLinks === false) return false;
+    if (!entry || entry.url.startsWith("blob:")) return false;
+
+    // keep unrelated parameters (?catalog=, ?party=, ?screenArc=, ...)
+    const params = new URLSearchParams(window.location.search);
+    DEEP_LINK_PARAMS.forEach((key) => params.delete(key));
+
+    const item =
+      currentPlaylistId && !playingFromQueue
+        ? trendingItems.find((candidate) => candidate.playlistId === currentPlaylistId)
+        : null;
+    if (item) {
+      params.set("item", item.id);
+      if (currentPlaylistIndex > 0) params.set("video", String(currentPlaylistIndex + 1));
+    } else {
+      params.set("url", entry.url);
+    }
+    if (time >= 1) params.set("t", String(Math.floor(time)));
+    // only when overridden from the selects; entries carry their own
+    if (projection.mode !== (entry.projection || "flat")) params.set("projection", projection.mode);
+    if (projection.stereo !== (entry.stereo || "mono")) params.set("stereo", projection.stereo);
+    if (panelLayout.mode !== "arc") params.set("layout", panelLayout.mode);
+
+    const query = params.toString();
+    const href = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    deepLink.lastWrite = performance.now();
+    if (push) {
+      history.pushState(null, "", href);
+    } else if (href !== window.location.pathname + window.location.search + window.location.hash) {
+      history.replaceState(null, "", href);
+    }
+    return true;
+  } catch (err) {
+    reportError("Deep link update", err);
+    return false;
+  }
+}
+
+function syncDeepLinkTime(force) {
+  // mid-load the clock belongs to neither the old nor the new video
+  if (!htmlVideo || htmlVideo.readyState < 2 || htmlVideo.seeking) return;
+  if (!force && performance.now() - deepLink.lastWrite < DEEP_LINK_TIME_INTERVAL_MS) return;
+  updateDeepLink(false);
+}
+
+async function copyDeepLink() {
+  try {
+    if (!updateDeepLink(false)) {
+      announce("Local files can't be shared as a link", true);
+      return;
+    }
+    const { signal } = lifecycle;
+    await navigator.clipboard.writeText(window.location.href);
+    if (signal.aborted) return;
+    announce(`Link copied at ${formatTime(htmlVideo.currentTime)}`);
+  } catch (err) {
+    reportError("Copy link", err);
+  }
+}
+
+// ------- Spatial audio (positional sound from the screen + room reverb) -------
+
+// Route htmlVideo through Web Audio. Needs a user gesture (AudioContext
+// autoplay rules), so it is built from ensureAudioEnabled / mute / volume.
+// A media element can only ever have one source node, so this runs once.
+function ensureSpatialAudio() {
+  if (screenAudio || spatialAudioFailed || !htmlVideo) return;
+
+  try {
+    audioListener = new THREE.AudioListener();
+    camera.add(audioListener); // follows the head in XR as well
+
+    screenAudio = new THREE.PositionalAudio(audioListener);
+    screenAudio.setMediaElementSource(htmlVideo);
+    screenAudio.setDistanceModel("inverse");
+    screenAudio.setRefDistance(3);
+    screenAudio.setRolloffFactor(0.8);
+    // the screen faces the viewer; walking behind it muffles the sound
+    screenAudio.setDirectionalCone(200, 320, 0.4);
+
+    reverb = createReverbChain(audioListener.context);
+    screenAudio.setFilters([reverb.input, reverb.mix]);
+
+    attachScreenAudio();
+    applyReverbPreset();
+    audioListener.context.resume();
+    log("Audio", "Spatial audio enabled");
+  } catch (err) {
+    spatialAudioFailed = true;
+    screenAudio = null;
+    reportError("Spatial audio", err);
+    // applyPlaybackVolume falls back to the element's own volume
+  }
+}
+
+// Gain lives in the Web Audio graph once it exists; the element then feeds
+// it at full level.
+function applyPlaybackVolume() {
+  if (!htmlVideo) return;
+
+  // a focused PiP / wall screen takes the sound from the main screen
+  const muted = playbackMuted || screenWall.focused !== null;
+  if (screenAudio) {
+    htmlVideo.muted = false;
+    htmlVideo.volume = 1;
+    screenAudio.setVolume(muted ? 0 : playbackVolume);
+  } else {
+    htmlVideo.muted = muted;
+    htmlVideo.volume = playbackVolume;
+  }
+  screenWall.screens.forEach(applySecondaryVolume);
+
+  updateAudioButtonLabel();
+  updateVolumeLabel();
+}
+
+// Flat screen: sound comes from the screen. 180° / 360°: the sphere follows
+// the head, so the source sits on the listener and plays unlocalized.
+function attachScreenAudio() {
+  if (!screenAudio) return;
+  const parent = projection.mode === "flat" ? curvedScreen : sphereScreen;
+  if (parent && screenAudio.parent !== parent) parent.add(screenAudio);
+}
+
+// three.js keeps one AudioContext per page (AudioContext.getContext) and the
+// next instance reuses it, so destroy takes only this instance's nodes off
+// the graph and suspends the context until ensureSpatialAudio resumes it.
+function releaseSpatialAudio() {
+  if (screenAudio) {
+    screenAudio.disconnect(); // source -> filters -> panner
+    screenAudio.source?.disconnect();
+    screenAudio.gain.disconnect();
+  }
+  if (reverb) {
+    [reverb.input, reverb.convolver, reverb.wet, reverb.mix].forEach((node) => node.disconnect());
+  }
+  if (audioListener) {
+    audioListener.gain.disconnect();
+    audioListener.removeFromParent();
+    audioListener.context.suspend().catch(() => {});
+  }
+}
+
+// input -> (dry) -> mix, plus input -> convolver -> wet -> mix. The dry link
+// is made by PositionalAudio.setFilters.
+function createReverbChain(context) {
+  const input = context.createGain();
+  const mix = context.createGain();
+  const convolver = context.createConvolver();
+  const wet = context.createGain();
+  wet.gain.value = 0;
+
+  input.connect(convolver);
+  convolver.connect(wet);
+  wet.connect(mix);
+  return { input, convolver, wet, mix, preset: null };
+}
+
+// Exponentially decaying stereo noise: a cheap, convincing room tail.
+function createImpulseResponse(context, seconds, decay) {
+  const length = Math.round(context.sampleRate * seconds);
+  const buffer = context.createBuffer(2, length, context.sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+  return buffer;
+}
+
+// What "auto" means for the current surroundings: the room echoes, an
+// immersive video (room hidden) stays dry.
+function getEnvironmentReverb() {
+  if (projection.mode !== "flat") return "off";
+  // passthrough AR: the sound should fit the viewer's actual room
+  return ar.active ? "room" : ENVIRONMENTS[environment.preset].reverb;
+}
+
+function setReverbPreset(setting) {
+  reverbSetting = setting === "auto" || setting in REVERB_PRESETS ? setting : "auto";
+  applyReverbPreset();
+  const select = document.getElementById("reverb-preset");
+  if (select) select.value = reverbSetting;
+}
+
+function applyReverbPreset() {
+  if (!reverb) return;
+  const name = reverbSetting === "auto" ? getEnvironmentReverb() : reverbSetting;
+  if (name === reverb.preset) return;
+  reverb.preset = name;
+
+  const preset = REVERB_PRESETS[name];
+  const context = reverb.convolver.context;
+  if (preset) {
+    reverb.convolver.buffer = createImpulseResponse(context, preset.seconds, preset.decay);
+  }
+  reverb.wet.gain.setTargetAtTime(preset ? preset.wet : 0, context.currentTime, 0.1);
+  log("Audio", `Reverb: ${name}${reverbSetting === "auto" ? " (auto)" : ""}`);
+}
+
+// ------- Playlist navigation: next / previous, shuffle, repeat, queue -------
+// `auto` is true when called from the "ended" event rather than a button.
+function playNext(auto = false) {
+  try {
+    if (userQueue.length > 0) {
+      playQueued(0);
+      return;
+    }
+
+    if (currentPlaylistId && playlists[currentPlaylistId]) {
+      const next = getNextPlaylistIndex(repeatMode === "all");
+      if (next < 0) {
+        log("Playlist", "End of playlist");
+        if (auto) pauseVideo();
+        return;
+      }
+      playFromPlaylist(currentPlaylistId, next, 0);
+      return;
+    }
+
+    // a lone manual URL: "repeat all" means play it again
+    if (auto && repeatMode === "all") {
+      htmlVideo.currentTime = 0;
+      playVideo();
+    } else if (auto) {
+      pauseVideo();
+    }
+  } catch (err) {
+    reportError("Next", err);
+  }
+}
+
+function playPrevious() {
+  try {
+    // like most players: a few seconds in, "previous" restarts the video
+    if (htmlVideo && htmlVideo.currentTime > 3) {
+      htmlVideo.currentTime = 0;
+      return;
+    }
+
+    const previous = backStack.pop();
+    if (previous) {
+      const list = previous.playlistId ? playlists[previous.playlistId] : null;
+      if (list && list[previous.index] && list[previous.index].url === previous.entry.url) {
+        playFromPlaylist(previous.playlistId, previous.index, 0, { fromHistory: true });
+      } else {
+        playingFromQueue = true; // standalone entry; the playlist context stays
+        playEntry(previous.entry);
+      }
+      return;
+    }
+
+    // nothing recorded yet: step back through the playlist order
+    const list = currentPlaylistId ? playlists[currentPlaylistId] : null;
+    if (!list) return;
+    let index = currentPlaylistIndex - 1;
+    if (index < 0) {
+      if (repeatMode !== "all") return;
+      index = list.length - 1;
+    }
+    playFromPlaylist(currentPlaylistId, index, 0, { fromHistory: true });
+  } catch (err) {
+    reportError("Previous", err);
+  }
+}
+
+function pushBackStack() {
+  if (!currentEntry) return;
+  backStack.push({
+    playlistId: playingFromQueue ? null : currentPlaylistId,
+    index: currentPlaylistIndex,
+    entry: currentEntry,
+  });
+  if (backStack.length > BACK_STACK_LIMIT) backStack.shift();
+}
+
+// Index of the entry after the current one, or -1 at the end without wrap.
+function getNextPlaylistIndex(wrap) {
+  const list = playlists[currentPlaylistId];
+
+  if (!shuffleEnabled) {
+    const next = currentPlaylistIndex + 1;
+    if (next < list.length) return next;
+    return wrap ? 0 : -1;
+  }
+
+  const position = shuffleOrder.position + 1;
+  if (position < shuffleOrder.order.length) return shuffleOrder.order[position];
+  if (!wrap) return -1;
+
+  // start a fresh random pass, avoiding an immediate replay of this video
+  const order = shuffleIndices(list.length);
+  if (order.length > 1 && order[0] === currentPlaylistIndex) {
+    [order[0], order[order.length - 1]] = [order[order.length - 1], order[0]];
+  }
+  shuffleOrder = { playlistId: currentPlaylistId, order, position: -1 };
+  return order[0];
+}
+
+// Keeps the shuffle order pointing at the current entry; a new playlist (or
+// one whose length changed) gets a new order starting with what is playing.
+function syncShuffleOrder() {
+  const list = playlists[currentPlaylistId] || [];
+  const stale =
+    shuffleOrder.playlistId !== currentPlaylistId || shuffleOrder.order.length !== list.length;
+
+  if (stale) {
+    const rest = shuffleIndices(list.length).filter((i) => i !== currentPlaylistIndex);
+    shuffleOrder = {
+      playlistId: currentPlaylistId,
+      order: [currentPlaylistIndex, ...rest],
+      position: 0,
+    };
+    return;
+  }
+  shuffleOrder.position = shuffleOrder.order.indexOf(currentPlaylistIndex);
+}
+
+function shuffleIndices(length) {
+  const order = Array.from({ length }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+function toggleShuffle() {
+  shuffleEnabled = !shuffleEnabled;
+  shuffleOrder = { playlistId: null, order: [], position: 0 };
+  if (shuffleEnabled && currentPlaylistId) syncShuffleOrder();
+  log("Playlist", `Shuffle ${shuffleEnabled ? "on" : "off"}`);
+  announce(`Shuffle ${shuffleEnabled ? "on" : "off"}`);
+  refreshPlaybackModeButtons();
+}
+
+function cycleRepeatMode() {
+  repeatMode = REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length];
+  if (htmlVideo) htmlVideo.loop = repeatMode === "one";
+  log("Playlist", `Repeat mode: ${repeatMode}`);
+  announce(getRepeatLabel());
+  refreshPlaybackModeButtons();
+}
+
+function getRepeatLabel() {
+  return { all: "Repeat All", one: "Repeat One", none: "Repeat Off" }[repeatMode];
+}
+
+function refreshPlaybackModeButtons() {
+  const shuffleBtn = document.getElementById("shuffle");
+  const repeatBtn = document.getElementById("repeat-mode");
+  if (shuffleBtn) {
+    shuffleBtn.textContent = shuffleEnabled ? "Shuffle On" : "Shuffle Off";
+    shuffleBtn.setAttribute("aria-pressed", String(shuffleEnabled));
+  }
+  if (repeatBtn) repeatBtn.textContent = getRepeatLabel();
+}
+
+// --- user queue ---
+function queueEntries(entries, source) {
+  entries.forEach((entry) => userQueue.push({ ...entry, queuedFrom: source }));
+  log("Queue", `Added ${entries.length} item(s) from ${source}`);
+  refreshQueueViews();
+}
+
+function queueCategory(item) {
+  const list = playlists[item.playlistId];
+  if (!list || list.length === 0) return;
+  queueEntries(list, item.title);
+}
+
+// Removes the queued entry at `index` and plays it now.
+function playQueued(index) {
+  const [entry] = userQueue.splice(index, 1);
+  if (!entry) return;
+  pushBackStack();
+  playingFromQueue = true; // the playlist picks up again once the queue drains
+  log("Queue", `Playing queued: ${entry.title || entry.url}`);
+  playEntry(entry);
+  refreshQueueViews();
+}
+
+function moveQueued(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= userQueue.length) return;
+  [userQueue[index], userQueue[target]] = [userQueue[target], userQueue[index]];
+  refreshQueueViews();
+}
+
+function removeQueued(index) {
+  userQueue.splice(index, 1);
+  refreshQueueViews();
+}
+
+function scrollQueue(delta) {
+  const maxScroll = Math.max(0, userQueue.length - QUEUE_VISIBLE_ROWS);
+  queueScroll = THREE.MathUtils.clamp(queueScroll + delta, 0, maxScroll);
+}
+
+function refreshQueueViews() {
+  scrollQueue(0); // re-clamp after the queue shrank
+  renderQueueList();
+}
+
+function renderQueueList() {
+  const panel = document.getElementById("queue-panel");
+  const listEl = document.getElementById("queue-list");
+  if (!panel || !listEl) return;
+
+  panel.hidden = userQueue.length === 0;
+  listEl.innerHTML = "";
+
+  userQueue.forEach((entry, index) => {
+    const li = document.createElement("li");
+
+    const title = document.createElement("button");
+    title.className = "queue-title";
+    title.textContent = entry.title || titleFromUrl(entry.url);
+    title.title = `Play now (from ${entry.queuedFrom})`;
+    title.dataset.action = "play";
+
+    li.appendChild(title);
+    [
+      ["up", "↑", "Move up"],
+      ["down", "↓", "Move down"],
+      ["remove", "✕", "Remove"],
+    ].forEach(([action, text, label]) => {
+      const btn = document.createElement("button");
+      btn.textContent = text;
+      btn.dataset.action = action;
+      btn.setAttribute("aria-label", `${label}: ${title.textContent}`);
+      li.appendChild(btn);
+    });
+
+    li.dataset.index = String(index);
+    listEl.appendChild(li);
+  });
+}
+
+// ------- Phase 4d: 3D queue list beside the screen -------
+function setupQueueList3D() {
+  try {
+    log("Queue", "Building 3D queue list");
+
+    queueList3D = new THREE.Group();
+    queueList3D.visible = false;
+    stageGroup.add(queueList3D);
+
+    const rowWidth = 0.9;
+    const rowStep = CONTROL_BUTTON_HEIGHT + CONTROL_GAP;
+
+    const header = createControlMesh(rowWidth, CONTROL_BUTTON_HEIGHT, false);
+    header.userData.label = () => `Up Next · ${userQueue.length}`;
+    queueList3D.add(header);
+
+    for (let i = 0; i < QUEUE_VISIBLE_ROWS; i++) {
+      const row = createControlMesh(rowWidth, CONTROL_BUTTON_HEIGHT, true);
+      row.position.y = -(i + 1) * rowStep;
+      row.userData.align = "left";
+      row.userData.label = () => {
+        const entry = userQueue[queueScroll + i];
+        return entry ? `${queueScroll + i + 1}. ${entry.title || titleFromUrl(entry.url)}` : "";
+      };
+      row.userData.onSelect = () => playQueued(queueScroll + i);
+      row.userData.isQueueRow = true;
+      queueList3D.add(row);
+      controlButtons.push(row);
+    }
+
+    layoutControlRow(
+      queueList3D,
+      [
+        { label: () => "▲", onSelect: () => scrollQueue(-1), width: 0.2 },
+        { label: () => "▼", onSelect: () => scrollQueue(1), width: 0.2 },
+      ],
+      -(QUEUE_VISIBLE_ROWS + 1) * rowStep
+    );
+  } catch (err) {
+    reportError("Queue list setup", err);
+  }
+}
+
+// Stands just past the screen's right edge, turned to face the viewer.
+function updateQueueList3D() {
+  if (!queueList3D) return;
+  queueList3D.visible = !!curvedScreen && curvedScreen.visible && userQueue.length > 0;
+  if (!queueList3D.visible) return;
+
+  const { edgeX = 2, edgeZ = 0, arc = 0, height = 0 } = curvedScreen.userData;
+  queueList3D.position.set(
+    curvedScreen.position.x + edgeX + 0.55,
+    curvedScreen.position.y + height / 2 - CONTROL_BUTTON_HEIGHT / 2,
+    curvedScreen.position.z + edgeZ + 0.1
+  );
+  queueList3D.rotation.y = -arc / 2;
+
+  queueList3D.children.forEach((mesh) => {
+    drawControlLabel(mesh);
+    if (mesh.userData.isQueueRow) mesh.visible = mesh.userData.drawnText !== "";
+  });
+}
+
+function togglePlayPause() {
+  announce(isPlaying ? "Paused" : "Playing");
+  if (isPlaying) pauseVideo();
+  else playVideo();
+  ensureAudioEnabled();
+}
+
+// "Gaming Highlights, 2 of 2" for playlists, the video title otherwise.
+function describeNowPlaying(entry) {
+  const list = currentPlaylistId ? playlists[currentPlaylistId] : null;
+  if (playingFromQueue || !list) return entry.title || titleFromUrl(entry.url);
+
+  const category =
+    panels.map((panel) => panel.userData.item).find((item) => item?.playlistId === currentPlaylistId) ||
+    currentItem;
+  return `${category?.title || entry.title}, ${currentPlaylistIndex + 1} of ${list.length}`;
+}
+
+function pauseVideo() {
+  if (!htmlVideo) return;
+  htmlVideo.pause();
+  isPlaying = false;
+  const btn = document.getElementById("play-pause");
+  if (btn) btn.textContent = "Play";
+  log("Video", "Playback paused");
+}
+
+// ------- Phase 4e: timeline (buffered ranges, drag to seek, hover preview) -------
+function setupTimeline() {
+  try {
+    log("Timeline", "Building DOM and in-scene progress bars");
+
+    previewVideo = document.createElement("video");
+    previewVideo.muted = true;
+    previewVideo.playsInline = true;
+    previewVideo.crossOrigin = "anonymous";
+    previewVideo.preload = "auto";
+    previewVideo.addEventListener("seeked", drawPreviewFrame);
+
+    const previewCanvas = document.getElementById("timeline-preview-canvas");
+    const track = document.getElementById("timeline-track");
+    if (track) setupTimelineTrack(track);
+
+    // in-scene bar just above the control bar's first row
+    if (controlBar) {
+      timelineMesh = createControlMesh(TIMELINE_WIDTH, TIMELINE_HEIGHT, true);
+      timelineMesh.position.set(0, CONTROL_BUTTON_HEIGHT / 2 + 0.06, 0);
+      timelineMesh.userData.onSelectAt = (hit) => {
+        if (hit?.uv) seekToFraction(hit.uv.x);
+      };
+      controlBar.add(timelineMesh);
+      controlButtons.push(timelineMesh);
+
+      if (previewCanvas) {
+        const tex = new THREE.CanvasTexture(previewCanvas);
+        tex.colorSpace = THREE.SRGBColorSpace;
+        previewMesh = new THREE.Mesh(
+          new THREE.PlaneGeometry(PREVIEW_WIDTH, (PREVIEW_WIDTH * 9) / 16),
+          new THREE.MeshBasicMaterial({ map: tex })
+        );
+        previewMesh.visible = false;
+        controlBar.add(previewMesh);
+      }
+    }
+  } catch (err) {
+    reportError("Timeline setup", err);
+    // seeking by ±10s still works
+  }
+}
+
+function setupTimelineTrack(track) {
+  const fractionAt = (event) => {
+    const rect = track.getBoundingClientRect();
+    return THREE.MathUtils.clamp((event.clientX - rect.left) / rect.width, 0, 1);
+  };
+
+  listen(track, "pointerdown", (event) => {
+    try {
+      timelineDomDragging = true;
+      track.setPointerCapture(event.pointerId);
+      seekToFraction(fractionAt(event), true);
+    } catch (err) {
+      reportError("Timeline seek", err);
+    }
+  });
+  listen(track, "pointermove", (event) => {
+    timelineHover = fractionAt(event);
+    if (timelineDomDragging) seekToFraction(timelineHover);
+  });
+  listen(track, "pointerup", () => {
+    timelineDomDragging = false;
+    timelineHover = null; // set again by the next move over the bar
+  });
+  listen(track, "pointerleave", () => {
+    if (!timelineDomDragging) timelineHover = null;
+  });
+  // arrows are the global seek shortcuts; Home/End jump to either end
+  listen(track, "keydown", (event) => {
+    if (event.key !== "Home" && event.key !== "End") return;
+    event.preventDefault();
+    seekToFraction(event.key === "Home" ? 0 : 1, true);
+  });
+}
+
+// While dragging, skip seeks smaller than a fifth of a second so the
+// decoder isn't flooded with requests.
+function seekToFraction(fraction, force = false) {
+  const duration = htmlVideo?.duration;
+  if (!duration || !Number.isFinite(duration)) return;
+
+  const target = THREE.MathUtils.clamp(fraction * duration, 0, duration - 0.1);
+  if (!force && Math.abs(target - htmlVideo.currentTime) < 0.2) return;
+  htmlVideo.currentTime = target;
+}
+
+function updateTimeline() {
+  if (!htmlVideo) return;
+
+  // XR trigger held on the in-scene bar keeps seeking
+  if (timelineDrag && timelineMesh) {
+    const { controller } = timelineDrag;
+    tmpMatrix.identity().extractRotation(controller.matrixWorld);
+    origin.setFromMatrixPosition(controller.matrixWorld);
+    direction.set(0, 0, -1).applyMatrix4(tmpMatrix);
+    raycaster.set(origin, direction);
+    const hit = raycaster.intersectObject(timelineMesh, false)[0];
+    if (hit?.uv) seekToFraction(hit.uv.x);
+  }
+
+  const sceneHover =
+    hoveredPanel === timelineMesh && hoveredHit?.uv ? hoveredHit.uv.x : null;
+  const hover = sceneHover ?? timelineHover;
+  const state = getTimelineState(hover);
+
+  const track = document.getElementById("timeline-track");
+  if (track && track.dataset.drawn !== state.key) {
+    track.dataset.drawn = state.key;
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(track.clientWidth * dpr));
+    const height = Math.max(1, Math.round(track.clientHeight * dpr));
+    if (track.width !== width || track.height !== height) {
+      track.width = width;
+      track.height = height;
+    }
+    drawTimelineBar(track.getContext("2d"), width, height, state);
+    track.setAttribute("aria-valuemax", String(Math.round(state.duration)));
+    track.setAttribute("aria-valuenow", String(Math.round(state.current)));
+    track.setAttribute(
+      "aria-valuetext",
+      `${formatTime(state.current)} of ${formatTime(state.duration)}`
+    );
+  }
+
+  const timeEl = document.getElementById("timeline-time");
+  if (timeEl) timeEl.textContent = getTimeReadout();
+
+  if (timelineMesh && timelineMesh.userData.drawnText !== state.key) {
+    timelineMesh.userData.drawnText = state.key;
+    const canvas = timelineMesh.userData.canvas;
+    drawTimelineBar(canvas.getContext("2d"), canvas.width, canvas.height, state);
+    timelineMesh.material.map.needsUpdate = true;
+  }
+
+  updateTimelinePreview(hover, sceneHover !== null);
+}
+
+// Everything the bar shows, plus a key that changes only when a redraw
+// would look different.
+function getTimelineState(hover) {
+  const duration = Number.isFinite(htmlVideo.duration) ? htmlVideo.duration : 0;
+  const current = htmlVideo.currentTime || 0;
+  const buffered = [];
+  for (let i = 0; i < htmlVideo.buffered.length; i++) {
+    buffered.push([htmlVideo.buffered.start(i), htmlVideo.buffered.end(i)]);
+  }
+
+  const key = [
+    duration.toFixed(1),
+    current.toFixed(1),
+    buffered.map(([s, e]) => `${s.toFixed(0)}-${e.toFixed(0)}`).join(","),
+    hover === null ? "" : hover.toFixed(3),
+  ].join("|");
+  return { duration, current, buffered, hover, key };
+}
+
+function drawTimelineBar(ctx, width, height, state) {
+  const { duration, current, buffered, hover } = state;
+  const barHeight = height * 0.45;
+  const y = (height - barHeight) / 2;
+  const x = (t) => (duration > 0 ? (t / duration) * width : 0);
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.save();
+  ctx.beginPath();
+  ctx.roundRect(0, y, width, barHeight, barHeight / 2);
+  ctx.clip();
+
+  ctx.fillStyle = "rgba(255, 255, 255, 0.15)";
+  ctx.fillRect(0, y, width, barHeight);
+
+  ctx.fillStyle = "rgba(255, 255, 255, 0.35)";
+  buffered.forEach(([start, end]) => ctx.fillRect(x(start), y, x(end) - x(start), barHeight));
+
+  const played = ctx.createLinearGradient(0, 0, width, 0);
+  played.addColorStop(0, "#5b6cff");
+  played.addColorStop(1, "#ba86ff");
+  ctx.fillStyle = played;
+  ctx.fillRect(0, y, x(current), barHeight);
+  ctx.restore();
+
+  // playhead
+  const headX = THREE.MathUtils.clamp(x(current), height / 2, width - height / 2);
+  ctx.beginPath();
+  ctx.arc(headX, height / 2, height / 2.4, 0, Math.PI * 2);
+  ctx.fillStyle = "#ffffff";
+  ctx.fill();
+
+  if (hover !== null) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.fillRect(hover * width - 1, 0, 2, height);
+  }
+}
+
+// Small frame + time above whichever bar is hovered.
+function updateTimelinePreview(hover, inScene) {
+  const preview = document.getElementById("timeline-preview");
+  const duration = htmlVideo.duration;
+  const shown = hover !== null && Number.isFinite(duration) && duration > 0;
+
+  if (preview) {
+    preview.hidden = !shown || inScene;
+    if (shown && !inScene) preview.style.left = `${hover * 100}%`;
+  }
+  if (previewMesh) {
+    previewMesh.visible = shown && inScene;
+    if (previewMesh.visible) {
+      previewMesh.position.set(
+        (hover - 0.5) * TIMELINE_WIDTH,
+        timelineMesh.position.y + TIMELINE_HEIGHT / 2 + (PREVIEW_WIDTH * 9) / 32 + 0.03,
+        0.01
+      );
+    }
+  }
+  if (!shown) return;
+
+  const time = hover * duration;
+  const timeLabel = document.getElementById("timeline-preview-time");
+  if (timeLabel) timeLabel.textContent = formatTime(time);
+  requestPreviewFrame(time);
+}
+
+// Seek the twin video to `time`; streams (MSE) can't be shared with a second
+// element, so they only get the time label.
+function requestPreviewFrame(time) {
+  if (!previewVideo || streamPlayer || !currentSourceUrl) return;
+
+  if (previewVideo.dataset.src !== currentSourceUrl) {
+    previewVideo.dataset.src = currentSourceUrl;
+    previewVideo.src = currentSourceUrl;
+    previewPendingTime = time;
+    previewVideo.addEventListener(
+      "loadedmetadata",
+      () => {
+        if (previewPendingTime !== null) previewVideo.currentTime = previewPendingTime;
+        previewPendingTime = null;
+      },
+      { once: true }
+    );
+    return;
+  }
+  if (previewVideo.readyState < 1) {
+    previewPendingTime = time;
+    return;
+  }
+
+  // one seek at a time; the latest hover position wins
+  if (previewVideo.seeking) {
+    previewPendingTime = time;
+  } else if (Math.abs(previewVideo.currentTime - time) > 0.5) {
+    previewVideo.currentTime = time;
+  }
+}
+
+function drawPreviewFrame() {
+  try {
+    const canvas = document.getElementById("timeline-preview-canvas");
+    if (canvas) {
+      drawImageCover(canvas.getContext("2d"), previewVideo, canvas.width, canvas.height);
+      if (previewMesh) previewMesh.material.map.needsUpdate = true;
+    }
+  } catch (err) {
+    // preview frames are best-effort; the time label still shows
+  }
+
+  if (previewPendingTime !== null) {
+    const next = previewPendingTime;
+    previewPendingTime = null;
+    previewVideo.currentTime = next;
+  }
+}
+
+// ------- Phase 4f: screen wall (picture-in-picture + live category wall) -------
+// Secondary screens each own a muted <video>, a texture and a playlist
+// position. "pip" adds small screens beside the main one (selecting one
+// swaps it onto the main screen); "wall" replaces the main screen with a
+// low-resolution tile per category. Only the focused screen is audible.
+// Secondary screens show every source flat, whatever its projection.
+function setupScreenWall() {
+  try {
+    log("Screens", "Creating secondary screen group");
+    screenWall.group = new THREE.Group();
+    stageGroup.add(screenWall.group);
+  } catch (err) {
+    reportError("Screen wall setup", err);
+  }
+}
+
+function setScreenLayout(layout) {
+  const next = SCREEN_LAYOUTS.includes(layout) ? layout : "single";
+  if (next === screenWall.layout) return;
+  const previous = screenWall.layout;
+  screenWall.layout = next;
+
+  if (next === "wall") {
+    screenWall.previousLayout = previous;
+    screenWall.resumeMain = isPlaying;
+    pauseVideo();
+    if (captionMesh) captionMesh.visible = false;
+  }
+  populateSecondaryScreens();
+  if (previous === "wall" && screenWall.resumeMain) playVideo();
+
+  applyProjection();
+  const btn = document.getElementById("screen-layout");
+  if (btn) btn.textContent = `Screens: ${SCREEN_LAYOUT_LABELS[next]}`;
+  announce(
+    next === "wall"
+      ? "Screen wall. Select a tile to hear it, select it again to open it"
+      : `Screens: ${SCREEN_LAYOUT_LABELS[next]}`
+  );
+  log("Screens", `Layout: ${next}`);
+}
+
+function cycleScreenLayout() {
+  const index = SCREEN_LAYOUTS.indexOf(screenWall.layout);
+  setScreenLayout(SCREEN_LAYOUTS[(index + 1) % SCREEN_LAYOUTS.length]);
+}
+
+function getScreenLayoutLabel() {
+  return `Screens: ${SCREEN_LAYOUT_LABELS[screenWall.layout]}`;
+}
+
+// (Re)builds the secondary screens for the current layout and catalog.
+function populateSecondaryScreens() {
+  clearSecondaryScreens();
+  if (!screenWall.group) return;
+
+  if (screenWall.layout === "pip") {
+    // categories other than the one on the main screen
+    getPanelItems()
+      .filter((item) => item.playlistId !== currentPlaylistId)
+      .slice(0, PIP_SCREEN_COUNT)
+      .forEach((item) => {
+        const screen = createSecondaryScreen("pip", item.title);
+        loadSecondaryScreen(screen, item.playlistId, getResumePoint(item.playlistId).index);
+      });
+  } else if (screenWall.layout === "wall") {
+    // every card, Continue Watching and Local Media included
+    getPanelItems().forEach((item) => {
+      const screen = createSecondaryScreen("wall", item.title);
+      loadSecondaryScreen(screen, item.playlistId, getResumePoint(item.playlistId).index);
+    });
+    layoutWallTiles();
+  }
+  applyPlaybackVolume();
+}
+
+function clearSecondaryScreens() {
+  const screens = screenWall.screens;
+  screenWall.screens = []; // first, so teardown errors are ignored
+  screenWall.focused = null;
+  screens.forEach(destroySecondaryScreen);
+}
+
+// PiP screens show the video texture directly; wall tiles a small canvas
+// redrawn from the video (see drawWallTile).
+function createSecondaryScreen(kind, title) {
+  const video = document.createElement("video");
+  video.crossOrigin = "anonymous";
+  video.muted = true;
+  video.playsInline = true;
+
+  const screen = {
+    kind,
+    title,
+    video,
+    texture: null,
+    canvas: null,
+    mesh: null,
+    playlistId: null,
+    index: 0,
+    entry: null,
+    stream: null, // hls.js / dash.js instance for MSE sources
+    token: 0, // bumped per source so late stream attaches are dropped
+    failures: 0,
+    lastDraw: 0,
+  };
+
+  let width = PIP_WIDTH;
+  if (kind === "wall") {
+    width = WALL_TILE_WIDTH;
+    screen.canvas = document.createElement("canvas");
+    screen.canvas.width = WALL_PREVIEW_WIDTH;
+    screen.canvas.height = Math.round((WALL_PREVIEW_WIDTH * 9) / 16);
+    screen.texture = new THREE.CanvasTexture(screen.canvas);
+  } else {
+    screen.texture = new THREE.VideoTexture(video);
+  }
+  screen.texture.colorSpace = THREE.SRGBColorSpace;
+
+  screen.mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, (width * 9) / 16),
+    new THREE.MeshBasicMaterial({ map: screen.texture })
+  );
+  screen.mesh.userData.onSelect = () => onSecondaryScreenSelect(screen);
+  screenWall.group.add(screen.mesh);
+  controlButtons.push(screen.mesh);
+  if (kind === "wall") drawWallTile(screen);
+
+  // a category keeps going on its own screen; a lone URL loops
+  video.addEventListener("ended", () => {
+    if (screen.playlistId) loadSecondaryScreen(screen, screen.playlistId, screen.index + 1);
+  });
+  video.addEventListener("playing", () => {
+    screen.failures = 0;
+  });
+  video.addEventListener("error", () => onSecondaryScreenError(screen, video.error?.message));
+  video.addEventListener("loadedmetadata", () => {
+    // PiP frames follow the video's shape; wall tiles letterbox instead
+    if (kind !== "pip" || !video.videoWidth || !video.videoHeight) return;
+    screen.mesh.geometry.dispose();
+    screen.mesh.geometry = new THREE.PlaneGeometry(
+      PIP_WIDTH,
+      (PIP_WIDTH * video.videoHeight) / video.videoWidth
+    );
+  });
+
+  screenWall.screens.push(screen);
+  return screen;
+}
+
+function destroySecondaryScreen(screen) {
+  screen.token++;
+  destroySecondaryStream(screen);
+  screen.video.pause();
+  screen.video.removeAttribute("src");
+  screen.video.load();
+
+  screen.mesh.removeFromParent();
+  screen.mesh.geometry.dispose();
+  screen.mesh.material.dispose();
+  screen.texture.dispose();
+  controlButtons = controlButtons.filter((button) => button !== screen.mesh);
+}
+
+function destroySecondaryStream(screen) {
+  if (!screen.stream) return;
+  try {
+    screen.stream.destroy();
+  } catch (err) {
+    reportError("Stream teardown", err);
+  }
+  screen.stream = null;
+}
+
+// A playlist position (wrapping around), or a single `entry` when
+// `playlistId` is null.
+function loadSecondaryScreen(screen, playlistId, index = 0, time = 0, entry = null) {
+  const list = playlistId ? playlists[playlistId] : null;
+  screen.playlistId = list?.length ? playlistId : null;
+  screen.index = screen.playlistId ? index % list.length : 0;
+  const next = screen.playlistId ? list[screen.index] : entry;
+  if (!next) return;
+
+  screen.entry = next;
+  if (screen.kind === "pip") screen.title = next.title || titleFromUrl(next.url);
+  screen.video.loop = !screen.playlistId;
+  setSecondarySource(screen, next, time);
+}
+
+// Entries with a `preview` rendition play that instead; HLS / DASH without
+// one are held to their lowest rendition (see attachSecondaryStream).
+function setSecondarySource(screen, entry, time) {
+  const { video } = screen;
+  const token = ++screen.token;
+  destroySecondaryStream(screen);
+
+  video.onloadeddata = () => {
+    if (time > 0) video.currentTime = time;
+    video.play().catch((err) => log("Screens", `${screen.title}: ${err.message}`));
+  };
+
+  const url = entry.preview || entry.url;
+  const type = detectStreamType(url, entry.preview ? undefined : entry.type);
+  if (type === "progressive") {
+    video.src = url;
+    video.load();
+    return;
+  }
+  attachSecondaryStream(screen, url, type, token).catch((err) => {
+    if (token === screen.token) onSecondaryScreenError(screen, err.message);
+  });
+}
+
+// Like attachHls / attachDash, without the rendition label and health
+// tracking that belong to the main screen. Every tile of the wall decodes at
+// once, so they stay on the lowest rendition.
+async function attachSecondaryStream(screen, url, type, token) {
+  const lowRes = screen.kind === "wall";
+
+  if (type === "hls") {
+    const { default: Hls } = await import(HLS_MODULE_URL);
+    if (token !== screen.token) return;
+
+    if (!Hls.isSupported()) {
+      if (!screen.video.canPlayType("application/vnd.apple.mpegurl")) {
+        throw new Error("Neither Media Source Extensions nor native HLS are available");
+      }
+      screen.video.src = url;
+      screen.video.load();
+      return;
+    }
+
+    const hls = new Hls(lowRes ? { startLevel: 0 } : {});
+    screen.stream = hls;
+    if (lowRes) {
+      hls.on(Hls.Events.MANIFEST_PARSED, () => {
+        hls.autoLevelCapping = 0;
+      });
+    }
+    hls.on(Hls.Events.ERROR, (_event, data) => {
+      if (data.fatal) onSecondaryScreenError(screen, data.details);
+    });
+    hls.attachMedia(screen.video);
+    hls.loadSource(url);
+    return;
+  }
+
+  const { MediaPlayer, supportsMediaSource } = await import(DASH_MODULE_URL);
+  if (token !== screen.token) return;
+  if (!supportsMediaSource()) {
+    throw new Error("Media Source Extensions are not available for DASH playback");
+  }
+
+  const player = MediaPlayer().create();
+  screen.stream = player;
+  if (lowRes) {
+    // kbit/s; enough for a tile a few hundred pixels wide
+    player.updateSettings({ streaming: { abr: { maxBitrate: { video: 600 } } } });
+  }
+  player.on(MediaPlayer.events.ERROR, (event) => {
+    onSecondaryScreenError(screen, event.error?.message);
+  });
+  player.initialize(screen.video, url, true);
+}
+
+// Failures here are logged, not reported: a broken preview should not put
+// an error over the main screen. The screen moves on through its playlist
+// until every entry has failed once.
+function onSecondaryScreenError(screen, message) {
+  if (!screenWall.screens.includes(screen)) return; // already torn down
+  log("Screens", `${screen.title}: ${message || "playback failed"}`);
+  const list = screen.playlistId ? playlists[screen.playlistId] : null;
+  if (!list || ++screen.failures >= list.length) return;
+  loadSecondaryScreen(screen, screen.playlistId, screen.index + 1);
+}
+
+function onSecondaryScreenSelect(screen) {
+  ensureAudioEnabled();
+  if (screen.kind === "pip") {
+    swapWithMainScreen(screen);
+  } else if (screenWall.focused === screen) {
+    openWallTile(screen);
+  } else {
+    setAudioFocus(screen);
+    announce(`Listening to ${screen.title}`);
+  }
+}
+
+// The PiP's video moves onto the main screen and the main screen's video
+// into the PiP, each keeping its position.
+function swapWithMainScreen(screen) {
+  const main = {
+    playlistId: playingFromQueue ? null : currentPlaylistId,
+    index: currentPlaylistIndex,
+    entry: currentEntry,
+    time: htmlVideo?.currentTime || 0,
+  };
+  const pip = { playlistId: screen.playlistId, index: screen.index, entry: screen.entry };
+  if (!pip.entry) return;
+  const pipTime = screen.video.currentTime || 0;
+
+  beginDeepLinkNavigation();
+  if (pip.playlistId) {
+    currentItem = findPanelItem(pip.playlistId) || currentItem;
+    playFromPlaylist(pip.playlistId, pip.index, pipTime);
+  } else {
+    pushBackStack();
+    currentPlaylistId = null;
+    playingFromQueue = false;
+    playEntry(pip.entry, pipTime);
+  }
+
+  if (main.entry) {
+    loadSecondaryScreen(screen, main.playlistId, main.index, main.time, main.entry);
+  }
+  log("Screens", `Swapped ${screen.title} onto the main screen`);
+}
+
+// Second select on a wall tile: back to the previous layout with that
+// category on the main screen, picking up where the tile was.
+function openWallTile(screen) {
+  const { playlistId, index, entry } = screen;
+  const time = screen.video.currentTime || 0;
+  screenWall.resumeMain = false; // the tile's video replaces what was paused
+
+  // before the layout change, so new PiPs skip this category
+  beginDeepLinkNavigation();
+  if (playlistId) {
+    currentItem = findPanelItem(playlistId) || currentItem;
+    playFromPlaylist(playlistId, index, time);
+  } else if (entry) {
+    playEntry(entry, time);
+  }
+  setScreenLayout(screenWall.previousLayout);
+}
+
+// null gives the main screen the sound back.
+function setAudioFocus(screen) {
+  screenWall.focused = screen;
+  applyPlaybackVolume();
+  screenWall.screens.forEach((s) => {
+    if (s.kind === "wall") drawWallTile(s); // focus frame
+  });
+}
+
+// Called from applyPlaybackVolume so volume and mute apply to whichever
+// screen is focused.
+function applySecondaryVolume(screen) {
+  screen.video.muted = playbackMuted || screenWall.focused !== screen;
+  screen.video.volume = playbackVolume;
+}
+
+function layoutWallTiles() {
+  const tiles = screenWall.screens.filter((screen) => screen.kind === "wall");
+  const columns = Math.min(WALL_COLUMNS, tiles.length);
+  const rows = Math.ceil(tiles.length / columns);
+  const tileHeight = (WALL_TILE_WIDTH * 9) / 16;
+
+  tiles.forEach((screen, i) => {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    screen.mesh.position.set(
+      (column - (columns - 1) / 2) * (WALL_TILE_WIDTH + WALL_GAP),
+      ((rows - 1) / 2 - row) * (tileHeight + WALL_GAP),
+      0.2
+    );
+  });
+}
+
+// Follows the main screen like the control bar; PiPs sit past its right
+// edge, turned towards the viewer.
+function updateScreenWall(now) {
+  const { group, screens } = screenWall;
+  if (!group || !curvedScreen) return;
+
+  const { baseY = 2.6, edgeX = 1.8, edgeZ = 0 } = curvedScreen.userData;
+  group.position.set(curvedScreen.position.x, baseY, curvedScreen.position.z);
+
+  const pips = screens.filter((screen) => screen.kind === "pip");
+  pips.forEach((screen, i) => {
+    const x = edgeX + PIP_GAP + PIP_WIDTH / 2;
+    const slot = (PIP_WIDTH * 9) / 32 + PIP_GAP / 2; // stacked around the screen's middle
+    screen.mesh.position.set(x, pips.length > 1 ? (i === 0 ? slot : -slot) : 0, edgeZ);
+    screen.mesh.rotation.y = -Math.atan2(x, screenSettings.radius - edgeZ);
+  });
+
+  screens.forEach((screen) => {
+    if (screen.kind !== "wall" || now - screen.lastDraw < WALL_PREVIEW_INTERVAL_MS) return;
+    screen.lastDraw = now;
+    drawWallTile(screen);
+  });
+}
+
+// Current frame letterboxed into the tile's canvas, with the category
+// title; the focused tile gets a frame.
+function drawWallTile(screen) {
+  const { canvas, video } = screen;
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+
+  ctx.fillStyle = "#050814";
+  ctx.fillRect(0, 0, width, height);
+  if (video.readyState >= 2 && video.videoWidth > 0) {
+    const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+    const w = video.videoWidth * scale;
+    const h = video.videoHeight * scale;
+    ctx.drawImage(video, (width - w) / 2, (height - h) / 2, w, h);
+  }
+
+  ctx.fillStyle = "rgba(5, 8, 20, 0.7)";
+  ctx.fillRect(0, height - 24, width, 24);
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "600 13px system-ui";
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "left";
+  ctx.fillText(fitText(ctx, screen.title || "", width - 12), 6, height - 12);
+
+  if (screenWall.focused === screen) {
+    ctx.strokeStyle = "rgba(120, 140, 255, 1)";
+    ctx.lineWidth = 6;
+    ctx.strokeRect(3, 3, width - 6, height - 6);
+  }
+  screen.texture.needsUpdate = true;
+}
+
+// ------- Adaptive streaming (HLS / DASH over Media Source Extensions) -------
+function detectStreamType(url, typeHint) {
+  if (STREAM_TYPES.includes(typeHint)) return typeHint;
+
+  let path = url;
+  try {
+    path = new URL(url, window.location.href).pathname;
+  } catch (err) {
+    // not a parseable URL; fall back to matching the raw string
+  }
+  path = path.toLowerCase();
+
+  if (path.endsWith(".m3u8")) return "hls";
+  if (path.endsWith(".mpd")) return "dash";
+  return "progressive";
+}
+
+// Single entry point for changing what plays on the screen. Progressive files
+// go straight to the <video>; manifests are attached through hls.js / dash.js,
+// which drive the same element, so the VideoTexture keeps working unchanged.
+function setVideoSource(url, typeHint) {
+  const token = ++streamLoadToken;
+  destroyStreamPlayer();
+  currentSourceUrl = url;
+
+  const type = detectStreamType(url, typeHint);
+  log("Stream", `Source type '${type}' for ${url}`);
+
+  if (type === "progressive") {
+    htmlVideo.src = url;
+    htmlVideo.load();
+    updateRenditionLabel("");
+    return;
+  }
+
+  updateRenditionLabel(`${type.toUpperCase()} · loading…`);
+  const attach = type === "hls" ? attachHls : attachDash;
+  attach(url, token).catch((err) => {
+    // a newer source may already have replaced this one
+    if (token === streamLoadToken) reportError(`Stream (${type})`, err);
+  });
+}
+
+async function attachHls(url, token) {
+  const { default: Hls } = await import(HLS_MODULE_URL);
+  if (token !== streamLoadToken) return;
+
+  if (!Hls.isSupported()) {
+    if (htmlVideo.canPlayType("application/vnd.apple.mpegurl")) {
+      log("Stream", "MSE unavailable, using native HLS playback");
+      htmlVideo.src = url;
+      htmlVideo.load();
+      updateRenditionLabel("HLS · native");
+      return;
+    }
+    throw new Error("Neither Media Source Extensions nor native HLS are available");
+  }
+
+  const hls = new Hls();
+  streamPlayer = { type: "hls", instance: hls };
+
+  const showLevel = (levelIndex) => {
+    const level = hls.levels[levelIndex];
+    if (!level) return;
+    updateRenditionLabel(
+      formatRendition("HLS", level.height, level.bitrate, hls.bandwidthEstimate)
+    );
+  };
+
+  hls.on(Hls.Events.LEVEL_SWITCHED, (_event, data) => {
+    showLevel(data.level);
+    log("Stream", `HLS switched to level ${data.level}`);
+  });
+  hls.on(Hls.Events.FRAG_LOADED, () => showLevel(hls.currentLevel));
+  hls.on(Hls.Events.ERROR, (_event, data) => {
+    if (!data.fatal) return;
+
+    if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+      log("Stream", "Recovering from HLS media error");
+      hls.recoverMediaError();
+      return;
+    }
+    destroyStreamPlayer();
+    const kind = data.type === Hls.ErrorTypes.NETWORK_ERROR ? "network" : "stream";
+    handlePlaybackFailure(url, kind, data.details);
+  });
+
+  hls.attachMedia(htmlVideo);
+  hls.loadSource(url);
+}
+
+async function attachDash(url, token) {
+  const { MediaPlayer, supportsMediaSource } = await import(DASH_MODULE_URL);
+  if (token !== streamLoadToken) return;
+
+  if (!supportsMediaSource()) {
+    throw new Error("Media Source Extensions are not available for DASH playback");
+  }
+
+  const player = MediaPlayer().create();
+  streamPlayer = { type: "dash", instance: player };
+
+  player.on(MediaPlayer.events.QUALITY_CHANGE_RENDERED, (event) => {
+    if (event.mediaType !== "video" || !event.newRepresentation) return;
+    const rep = event.newRepresentation;
+    // dash.js reports throughput in kbit/s
+    const throughput = player.getAverageThroughput("video") * 1000;
+    updateRenditionLabel(formatRendition("DASH", rep.height, rep.bandwidth, throughput));
+    log("Stream", `DASH switched to representation ${rep.id}`);
+  });
+  player.on(MediaPlayer.events.ERROR, (event) => {
+    const code = event.error?.code;
+    const fatal =
+      DASH_FATAL_ERROR_CODES.includes(code) ||
+      (DASH_MANIFEST_ERROR_CODES.includes(code) && htmlVideo.readyState < 2);
+    if (!fatal) {
+      log("Stream", `DASH error ${code} (recoverable): ${event.error?.message}`);
+      return;
+    }
+    handlePlaybackFailure(url, "stream", event.error?.message);
+  });
+
+  player.initialize(htmlVideo, url, false);
+}
+
+function destroyStreamPlayer() {
+  if (!streamPlayer) return;
+  try {
+    streamPlayer.instance.destroy();
+  } catch (err) {
+    reportError("Stream teardown", err);
+  }
+  streamPlayer = null;
+}
+
+function formatRendition(kind, height, bitrate, bandwidthEstimate) {
+  const parts = [kind];
+  if (height) parts.push(`${height}p`);
+  if (bitrate) parts.push(`${(bitrate / 1e6).toFixed(1)} Mbps`);
+  if (bandwidthEstimate) parts.push(`net ${(bandwidthEstimate / 1e6).toFixed(1)} Mbps`);
+  return parts.join(" · ");
+}
+
+function updateRenditionLabel(text) {
+  const label = document.getElementById("rendition-label");
+  if (!label) return;
+  label.textContent = text;
+  label.hidden = !text;
+}
+
+// ------- Playback health (diagnosis, retries, skipping, watchdog) -------
+
+// A fresh load of `url` chosen by the viewer or the playlist; retries reuse
+// the attempt instead.
+function beginPlaybackAttempt(url) {
+  clearTimeout(playbackAttempt.timer);
+  clearPlaybackWatchdog();
+  playbackAttempt = { url, retries: 0, settled: false, timer: null };
+  armPlaybackWatchdog("timeout", LOAD_TIMEOUT_MS);
+}
+
+// The element only reports a code; "not supported" is also what a 404 or a
+// CORS refusal looks like, so ask the network what really happened.
+function onMediaElementError() {
+  const err = htmlVideo.error;
+  if (!err || streamPlayer) return; // MSE players report through their own events
+  const url = currentSourceUrl;
+
+  if (err.code === 1) {
+    log("Health", "Load aborted");
+    return;
+  }
+  if (err.code === 3) {
+    handlePlaybackFailure(url, "decode", err.message);
+    return;
+  }
+  if (err.code === 2) {
+    handlePlaybackFailure(url, "network", err.message);
+    return;
+  }
+
+  const { signal } = lifecycle;
+  diagnoseUrl(url).then((diagnosis) => {
+    if (signal.aborted) return;
+    const kind = diagnosis && diagnosis !== "ok" ? diagnosis : "unsupported";
+    handlePlaybackFailure(url, kind, err.message);
+  });
+}
+
+// Resolves to "ok", "cors", "missing", "forbidden", "network", or null when
+// the server gives no useful answer. Only run after the element has failed:
+// a ranged GET for the first byte, since many media hosts refuse HEAD.
+async function diagnoseUrl(url) {
+  if (!/^https?:/i.test(url || "")) return null;
+  try {
+    const res = await probeUrl(url, "cors");
+    if (res.status === 404 || res.status === 410) return "missing";
+    if (res.status === 401 || res.status === 403) return "forbidden";
+    return res.ok ? "ok" : null;
+  } catch (err) {
+    // CORS refusals and dead hosts throw the same TypeError; an opaque
+    // no-cors request succeeds only in the first case
+    try {
+      await probeUrl(url, "no-cors");
+      return "cors";
+    } catch {
+      return "network";
+    }
+  }
+}
+
+// Stops reading once the headers are in, in case the server ignores Range
+async function probeUrl(url, mode) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 8000);
+  try {
+    return await fetch(url, {
+      mode,
+      cache: "no-store",
+      headers: { Range: "bytes=0-0" },
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+}
+
+function handlePlaybackFailure(url, kind, detail) {
+  if (!url || url !== currentSourceUrl || playbackAttempt.settled) return;
+  // one failure often raises several errors; the scheduled retry covers them
+  if (playbackAttempt.url === url && playbackAttempt.timer) return;
+  const failure = PLAYBACK_FAILURES[kind] || PLAYBACK_FAILURES.stream;
+  clearPlaybackWatchdog();
+  log("Health", `${kind} on ${url}${detail ? ` (${detail})` : ""}`);
+
+  if (playbackAttempt.url !== url) {
+    // e.g. the first video, which is not loaded through playEntry
+    playbackAttempt = { url, retries: 0, settled: false, timer: null };
+  }
+
+  if (failure.retry && playbackAttempt.retries < RETRY_DELAYS_MS.length) {
+    const delay = RETRY_DELAYS_MS[playbackAttempt.retries++];
+    const resumeAt = htmlVideo.currentTime || 0;
+    log("Health", `Retry ${playbackAttempt.retries}/${RETRY_DELAYS_MS.length} in ${delay}ms`);
+    updateRenditionLabel(`Retrying in ${Math.round(delay / 1000)}s…`);
+    playbackAttempt.timer = setTimeout(() => retryPlayback(url, resumeAt), delay);
+    return;
+  }
+
+  playbackAttempt.settled = true;
+  recordUrlHealth(url, failure.retry ? "failing" : "dead", kind);
+  const title = currentEntry?.url === url ? currentEntry.title : titleFromUrl(url);
+  reportError("Playback", new Error(`${title || url}: ${failure.message}`));
+  skipFailedEntry();
+}
+
+function retryPlayback(url, resumeAt) {
+  playbackAttempt.timer = null;
+  if (url !== currentSourceUrl || !currentEntry) return;
+  log("Health", `Retrying ${url}`);
+  setVideoSource(currentEntry.url, currentEntry.type);
+  armPlaybackWatchdog("timeout", LOAD_TIMEOUT_MS);
+  htmlVideo.onloadeddata = () => {
+    if (resumeAt > 0) htmlVideo.currentTime = resumeAt;
+    playVideo();
+  };
+}
+
+// Move on within the playlist / queue, but stop once every entry in a row
+// has failed rather than cycling forever.
+function skipFailedEntry() {
+  const list = currentPlaylistId ? playlists[currentPlaylistId] : null;
+  const limit = Math.max(1, (list?.length || 0) + userQueue.length - 1);
+  if (!list && userQueue.length === 0) return;
+  if (consecutiveSkips >= limit) {
+    log("Health", "Every entry failed; not skipping further");
+    pauseVideo();
+    return;
+  }
+  consecutiveSkips++;
+  log("Health", "Skipping to the next entry");
+  playNext(true);
+}
+
+function onPlaybackHealthy() {
+  clearPlaybackWatchdog();
+  consecutiveSkips = 0;
+  if (currentSourceUrl && urlHealth[currentSourceUrl]?.status !== "ok") {
+    recordUrlHealth(currentSourceUrl, "ok");
+  }
+  if (playbackAttempt.retries > 0) updateRenditionLabel("");
+  playbackAttempt.retries = 0;
+}
+
+function armPlaybackWatchdog(kind, ms) {
+  clearPlaybackWatchdog();
+  const url = currentSourceUrl;
+  playbackWatchdog = {
+    kind,
+    timer: setTimeout(() => {
+      playbackWatchdog = null;
+      handlePlaybackFailure(url, kind);
+    }, ms),
+  };
+}
+
+function clearPlaybackWatchdog() {
+  if (!playbackWatchdog) return;
+  clearTimeout(playbackWatchdog.timer);
+  playbackWatchdog = null;
+}
+
+// ----- Per-URL health -----
+function loadUrlHealth() {
+  try {
+    urlHealth = JSON.parse(localStorage.getItem(HEALTH_STORAGE_KEY) || "{}") || {};
+  } catch (err) {
+    reportError("Health load", err);
+    urlHealth = {};
+  }
+}
+
+function saveUrlHealth() {
+  try {
+    const urls = Object.keys(urlHealth).sort(
+      (a, b) => urlHealth[b].checkedAt - urlHealth[a].checkedAt
+    );
+    urls.slice(HEALTH_CACHE_LIMIT).forEach((url) => delete urlHealth[url]);
+    localStorage.setItem(HEALTH_STORAGE_KEY, JSON.stringify(urlHealth));
+  } catch (err) {
+    reportError("Health save", err);
+  }
+}
+
+function recordUrlHealth(url, status, reason = null) {
+  if (!url || url.startsWith("blob:")) return;
+  const previous = urlHealth[url];
+  urlHealth[url] = {
+    status,
+    failures: status === "ok" ? 0 : (previous?.failures || 0) + 1,
+    reason,
+    checkedAt: Date.now(),
+  };
+  saveUrlHealth();
+  if (previous?.status !== status) refreshPanelTextures(url);
+}
+
+function isKnownBad(url) {
+  const status = urlHealth[url]?.status;
+  return status === "dead" || status === "failing";
+}
+
+// ------- Phase 5: XR controllers (also handle hand pinch via select events) -------
+function setupXRControllers() {
+  try {
+    log("XR", "Configuring controllers");
+
+    for (let i = 0; i < 2; i++) {
+      const controller = renderer.xr.getController(i);
+      controller.addEventListener("selectstart", (event) => {
+        // tracked hands select on pinch release instead, so a pinch can drag
+        if (event.data?.hand) return;
+        onXRSelect(controller);
+      });
+      controller.addEventListener("selectend", () => {
+        if (timelineDrag?.controller === controller) timelineDrag = null;
+      });
+      controller.addEventListener("connected", (event) => {
+        controller.userData.inputSource = event.data;
+      });
+      controller.addEventListener("disconnected", () => {
+        controller.userData.inputSource = null;
+      });
+
+      // simple debug ray
+      const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(0, 0, -1),
+      ]);
+      const line = new THREE.Line(
+        geometry,
+        new THREE.LineBasicMaterial({ linewidth: 2 })
+      );
+      line.name = "ray";
+      line.scale.z = 5;
+      controller.add(line);
+
+      scene.add(controller);
+      controllers.push(controller);
+    }
+
+    loadGamepadMapping();
+  } catch (err) {
+    reportError("XR controllers setup", err);
+    // don't rethrow; app can still run on desktop
+  }
+}
+
+
+function onXRSelect(controller) {
+  try {
+    if (ar.placing) {
+      ar.placeRequested = true;
+      return;
+    }
+    tmpMatrix.identity().extractRotation(controller.matrixWorld);
+    origin.setFromMatrixPosition(controller.matrixWorld);
+    direction.set(0, 0, -1).applyMatrix4(tmpMatrix);
+
+    raycaster.set(origin, direction);
+    const hits = raycaster.intersectObjects(getInteractiveObjects(), false);
+    if (hits.length > 0) {
+      activateObject(hits[0].object, hits[0]);
+      // keep seeking while the trigger stays down on the timeline
+      if (hits[0].object === timelineMesh) timelineDrag = { controller };
+    }
+  } catch (err) {
+    reportError("XR select", err);
+  }
+}
+
+// ----- Gamepad buttons + thumbsticks -----
+
+// Merge overrides (e.g. { grip: "next", thumbstickY: "none" }) into the
+// active mapping and persist them. Unknown inputs or actions are ignored.
+function setGamepadMapping(overrides = {}, persist = true) {
+  for (const [input, action] of Object.entries(overrides)) {
+    if (!(input in DEFAULT_GAMEPAD_MAPPING)) {
+      log("XR", `Ignoring unknown gamepad input "${input}"`);
+      continue;
+    }
+    if (!(action in GAMEPAD_ACTIONS)) {
+      log("XR", `Ignoring unknown gamepad action "${action}" for ${input}`);
+      continue;
+    }
+    gamepadMapping[input] = action;
+  }
+
+  if (!persist) return;
+  try {
+    const changed = {};
+    for (const [input, action] of Object.entries(gamepadMapping)) {
+      if (action !== DEFAULT_GAMEPAD_MAPPING[input]) changed[input] = action;
+    }
+    localStorage.setItem(GAMEPAD_STORAGE_KEY, JSON.stringify(changed));
+  } catch (err) {
+    reportError("Gamepad mapping save", err);
+  }
+}
+
+function loadGamepadMapping() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GAMEPAD_STORAGE_KEY) || "{}");
+    if (stored && typeof stored === "object") setGamepadMapping(stored, false);
+  } catch (err) {
+    reportError("Gamepad mapping load", err);
+  }
+}
+
+// Which input names the xr-standard button indices map to for this hand.
+function getGamepadButtonInputs(handedness) {
+  const left = handedness === "left";
+  return {
+    1: "grip",
+    3: "thumbstickPress",
+    4: left ? "x" : "a",
+    5: left ? "y" : "b",
+  };
+}
+
+// Read every XR controller's gamepad once per frame. Buttons fire on press;
+// thumbsticks fire once past the threshold, then repeat while held. The
+// trigger (button 0) is left to the select events.
+function pollXRGamepads(now) {
+  const session = renderer.xr.getSession();
+  if (!session) return;
+
+  for (const source of session.inputSources) {
+    const gamepad = source.gamepad;
+    if (!gamepad || source.hand) continue;
+
+    let state = gamepadStates.get(source);
+    if (!state) {
+      state = { buttons: [], axes: { x: null, y: null } };
+      gamepadStates.set(source, state);
     }
 
-    log("Volume", `Set volume to ${Math.round(newVol * 100)}%`);
+    const handDir = source.handedness === "left" ? -1 : 1;
+    const buttonInputs = getGamepadButtonInputs(source.handedness);
+    for (const [index, input] of Object.entries(buttonInputs)) {
+      const pressed = !!gamepad.buttons[index]?.pressed;
+      if (pressed && !state.buttons[index]) {
+        runGamepadAction(gamepadMapping[input], handDir, gamepad);
+      }
+      state.buttons[index] = pressed;
+    }
 
-    updateAudioButtonLabel();
-    updateVolumeLabel();   // <-- update the UI
+    // xr-standard mapping: axes 2/3 are the thumbstick (up is negative)
+    if (gamepad.axes.length < 4) continue;
+    // Pointing at the panel row turns left/right into paging, as before.
+    const xAction = isSourcePointingAtPanels(source)
+      ? "pagePanels"
+      : gamepadMapping.thumbstickX;
+    pollGamepadAxis(state.axes, "x", gamepad.axes[2], xAction, now, gamepad);
+    pollGamepadAxis(
+      state.axes,
+      "y",
+      -gamepad.axes[3],
+      gamepadMapping.thumbstickY,
+      now,
+      gamepad
+    );
+  }
+}
+
+function pollGamepadAxis(axes, key, value, action, now, gamepad) {
+  const held = axes[key];
+  const magnitude = Math.abs(value);
+
+  // Hysteresis: engage past the threshold, release only near the centre.
+  if (!held) {
+    if (magnitude < GAMEPAD_AXIS_THRESHOLD) return;
+    const dir = Math.sign(value);
+    axes[key] = { dir, next: now + GAMEPAD_REPEAT_DELAY_MS };
+    runGamepadAction(action, dir, gamepad);
+    return;
+  }
+
+  if (magnitude < GAMEPAD_AXIS_RELEASE || Math.sign(value) !== held.dir) {
+    axes[key] = null;
+    return;
+  }
+  if (magnitude >= GAMEPAD_AXIS_THRESHOLD && now >= held.next) {
+    held.next = now + GAMEPAD_REPEAT_INTERVAL_MS;
+    runGamepadAction(action, held.dir, gamepad);
+  }
+}
+
+function runGamepadAction(action, dir, gamepad) {
+  const handler = GAMEPAD_ACTIONS[action];
+  if (!handler) return;
+  try {
+    handler(dir);
+    pulseGamepad(gamepad);
   } catch (err) {
-    reportError("changeVolume", err);
+    reportError(`Gamepad action ${action}`, err);
+  }
+}
+
+// Short haptic tick; silently skipped on hardware without actuators.
+function pulseGamepad(gamepad, intensity = 0.3, duration = 25) {
+  try {
+    const actuator = gamepad.hapticActuators?.[0];
+    if (actuator?.pulse) {
+      actuator.pulse(intensity, duration);
+    } else if (gamepad.vibrationActuator?.playEffect) {
+      gamepad.vibrationActuator.playEffect("dual-rumble", {
+        duration,
+        strongMagnitude: intensity,
+        weakMagnitude: intensity,
+      });
+    }
+  } catch (err) {
+    // haptics are best-effort
   }
 }
 
+function isSourcePointingAtPanels(source) {
+  const controller = controllers.find((c) => c.userData.inputSource === source);
+  if (!controller || panels.length === 0) return false;
 
+  tmpMatrix.identity().extractRotation(controller.matrixWorld);
+  origin.setFromMatrixPosition(controller.matrixWorld);
+  direction.set(0, 0, -1).applyMatrix4(tmpMatrix);
+  raycaster.set(origin, direction);
 
-function seekBy(deltaSeconds) {
+  const targets = panels.filter((p) => p.visible);
+  if (panelArrows.left?.visible) targets.push(panelArrows.left);
+  if (panelArrows.right?.visible) targets.push(panelArrows.right);
+  return raycaster.intersectObjects(targets, false).length > 0;
+}
+
+// ------- Phase 5b: hand tracking -------
+function setupHands() {
   try {
-    if (!htmlVideo) return;
+    log("XR", "Configuring hand tracking");
 
-    if (Number.isNaN(htmlVideo.currentTime)) return;
+    for (let i = 0; i < 2; i++) {
+      const hand = renderer.xr.getHand(i);
+
+      // getHand(i) and getController(i) are the same input source
+      const state = { hand, controller: controllers[i], pinch: null, palmUpSince: 0 };
+      hand.addEventListener("pinchstart", () => onHandPinchStart(state));
+      hand.addEventListener("pinchend", () => onHandPinchEnd(state));
+      hand.addEventListener("disconnected", () => {
+        state.pinch = null;
+        state.palmUpSince = 0;
+        if (wristMenuOwner === state) closeWristMenu();
+      });
 
-    const duration = htmlVideo.duration || 0;
-    let target = htmlVideo.currentTime + deltaSeconds;
+      scene.add(hand);
+      hands.push(state);
+    }
+
+    setupWristMenu();
+    addHandModels();
+  } catch (err) {
+    reportError("Hand tracking setup", err);
+    // pinch still selects through the controller's select events
+  }
+}
+
+async function addHandModels() {
+  const { signal } = lifecycle;
+  try {
+    const { XRHandModelFactory } = await import(HAND_MODEL_MODULE_URL);
+    if (signal.aborted) return;
+    const factory = new XRHandModelFactory();
+    hands.forEach(({ hand }) => hand.add(factory.createHandModel(hand, HAND_MODEL_PROFILE)));
+  } catch (err) {
+    // hands still pinch and open the wrist menu, they just aren't drawn
+    log("XR", `Hand models unavailable (no import map for "three"?): ${err.message}`);
+  }
+}
+
+// Midpoint between thumb and index tips, in world space.
+function getPinchPoint(hand, target) {
+  const index = hand.joints["index-finger-tip"];
+  const thumb = hand.joints["thumb-tip"];
+  if (!index || !thumb) return null;
+  index.getWorldPosition(target);
+  thumb.getWorldPosition(handVector);
+  return target.add(handVector).multiplyScalar(0.5);
+}
+
+function onHandPinchStart(state) {
+  try {
+    if (state === wristMenuOwner || !state.controller) return;
+    if (ar.placing) {
+      ar.placeRequested = true;
+      return;
+    }
+
+    const { controller } = state;
+    tmpMatrix.identity().extractRotation(controller.matrixWorld);
+    origin.setFromMatrixPosition(controller.matrixWorld);
+    direction.set(0, 0, -1).applyMatrix4(tmpMatrix);
+    raycaster.set(origin, direction);
+
+    const screenMeshes = curvedScreen && curvedScreen.visible ? curvedScreen.children : [];
+    const hits = raycaster.intersectObjects(
+      [...getInteractiveObjects(), ...screenMeshes.filter(isShown)],
+      false
+    );
+    const start = getPinchPoint(state.hand, new THREE.Vector3());
+    if (hits.length === 0 || !start) return;
+
+    const object = hits[0].object;
+    let kind = "tap";
+    if (object.userData.item) kind = "panels";
+    else if (screenMeshes.includes(object)) kind = "scrub";
+
+    state.pinch = { kind, object, hit: hits[0], start, dragging: false, startValue: 0 };
+  } catch (err) {
+    reportError("Hand pinch", err);
+  }
+}
+
+function onHandPinchEnd(state) {
+  const pinch = state.pinch;
+  state.pinch = null;
+  if (!pinch) return;
+
+  try {
+    if (!pinch.dragging) {
+      // a plain pinch on a panel or button is a click
+      if (pinch.kind !== "scrub") activateObject(pinch.object, pinch.hit);
+      return;
+    }
+
+    if (pinch.kind === "panels" && panelLayout.mode !== "grid") {
+      panelScroll = Math.round(panelScroll);
+      layoutPanels();
+    } else if (pinch.kind === "scrub" && htmlVideo) {
+      log("Hands", `Scrubbed to ${htmlVideo.currentTime.toFixed(2)}s`);
+    }
+  } catch (err) {
+    reportError("Hand pinch", err);
+  }
+}
+
+// Per frame: follow active pinch drags and watch for a palm turned upwards.
+function updateHands(now) {
+  if (!renderer.xr.isPresenting || hands.length === 0) {
+    if (wristMenuOwner) closeWristMenu();
+    return;
+  }
+
+  for (const state of hands) {
+    const wrist = state.hand.joints["wrist"];
+    if (!wrist || !wrist.visible) {
+      state.palmUpSince = 0;
+      continue;
+    }
+
+    if (state.pinch) updateHandDrag(state);
+
+    // joint space: -Y points out of the palm
+    wrist.getWorldQuaternion(handQuat);
+    const palmUp = -handVector.set(0, 1, 0).applyQuaternion(handQuat).y;
+
+    if (wristMenuOwner === state) {
+      if (palmUp < PALM_UP_CLOSE) closeWristMenu();
+    } else if (!wristMenuOwner && !state.pinch && palmUp > PALM_UP_OPEN) {
+      if (!state.palmUpSince) state.palmUpSince = now;
+      if (now - state.palmUpSince >= PALM_UP_HOLD_MS) openWristMenu(state);
+    } else {
+      state.palmUpSince = 0;
+    }
+  }
+
+  updateWristMenu();
+}
+
+function updateHandDrag(state) {
+  const pinch = state.pinch;
+  if (pinch.kind === "tap" || !getPinchPoint(state.hand, handPoint)) return;
+
+  // sideways travel relative to where the viewer is looking
+  const right = handVector.setFromMatrixColumn(camera.matrixWorld, 0);
+  const dx = handPoint.sub(pinch.start).dot(right);
+
+  if (!pinch.dragging) {
+    if (Math.abs(dx) < HAND_DRAG_THRESHOLD) return;
+    pinch.dragging = true;
+    if (pinch.kind === "scrub") pinch.startValue = htmlVideo ? htmlVideo.currentTime : 0;
+    else pinch.startValue = panelLayout.mode === "grid" ? panelPage : panelScroll;
+  }
+
+  if (pinch.kind === "scrub") {
+    const duration = htmlVideo?.duration;
+    if (!duration || !Number.isFinite(duration)) return;
+    const target = THREE.MathUtils.clamp(
+      pinch.startValue + (dx / HAND_SCRUB_SWEEP) * duration,
+      0,
+      duration - 0.1
+    );
+    // don't flood the decoder with seeks for sub-frame hand jitter
+    if (Math.abs(target - htmlVideo.currentTime) > 0.2) htmlVideo.currentTime = target;
+    return;
+  }
+
+  // drag the row like a touch list: pull left to bring later panels in
+  const steps = -dx / HAND_PANEL_STEP;
+  if (panelLayout.mode === "grid") panelPage = pinch.startValue + Math.trunc(steps);
+  else panelScroll = pinch.startValue + steps;
+  layoutPanels();
+}
+
+// ----- Wrist menu -----
+function setupWristMenu() {
+  wristMenu = new THREE.Group();
+  wristMenu.visible = false;
+  wristMenu.scale.setScalar(0.45);
+  scene.add(wristMenu);
+
+  const rows = [
+    [
+      { label: () => (isPlaying ? "Pause" : "Play"), onSelect: togglePlayPause },
+      { label: () => (playbackMuted ? "Unmute" : "Mute"), onSelect: toggleMute },
+    ],
+    [
+      { label: () => "‹ Prev", onSelect: () => switchCategory(-1) },
+      { label: () => currentItem?.title || "No category", width: 0.6 },
+      { label: () => "Next ›", onSelect: () => switchCategory(1) },
+    ],
+    [
+      { label: () => ENVIRONMENTS[environment.preset].label, onSelect: cycleEnvironment, width: 0.6 },
+      { label: () => (environment.cinemaMode ? "Dim On" : "Dim Off"), onSelect: toggleCinemaMode },
+      { label: () => (environment.ambilight ? "Ambi On" : "Ambi Off"), onSelect: toggleAmbilight },
+    ],
+    [{ label: getScreenLayoutLabel, onSelect: cycleScreenLayout, width: 0.6 }],
+  ];
+  rows.forEach((elements, rowIndex) => {
+    const y = -rowIndex * (CONTROL_BUTTON_HEIGHT + CONTROL_GAP);
+    layoutControlRow(wristMenu, elements, y);
+  });
+}
+
+function openWristMenu(state) {
+  if (!wristMenu) return;
+  wristMenuOwner = state;
+  state.palmUpSince = 0;
+  wristMenu.visible = true;
+  log("Hands", "Wrist menu opened");
+}
+
+function closeWristMenu() {
+  wristMenuOwner = null;
+  if (wristMenu) wristMenu.visible = false;
+}
+
+function updateWristMenu() {
+  if (!wristMenu || !wristMenu.visible || !wristMenuOwner) return;
+
+  // float just above the upturned palm, facing the viewer
+  wristMenuOwner.hand.joints["wrist"].getWorldPosition(wristMenu.position);
+  wristMenu.position.y += 0.14;
+  camera.getWorldPosition(handPoint);
+  wristMenu.lookAt(handPoint);
+  wristMenu.children.forEach(drawControlLabel);
+}
+
+// Play the previous / next category in panel order.
+function switchCategory(delta) {
+  if (panels.length === 0) return;
+  const index = panels.findIndex((panel) => panel.userData.item === currentItem);
+  const next =
+    index < 0 ? (delta > 0 ? 0 : panels.length - 1) : (index + delta + panels.length) % panels.length;
+  activatePanel(panels[next]);
+}
+
+// ------- Phase 5c: watch party (shared playback + presence avatars) -------
+function setupWatchParty() {
+  try {
+    log("Party", "Wiring watch-party controls");
+
+    partyAvatarGroup = new THREE.Group();
+    scene.add(partyAvatarGroup);
+
+    const nameInput = document.getElementById("party-name");
+    const codeInput = document.getElementById("party-code");
+    const hostBtn = document.getElementById("party-host");
+    const joinBtn = document.getElementById("party-join");
+    const leaveBtn = document.getElementById("party-leave");
+
+    if (nameInput) nameInput.value = localStorage.getItem(PARTY_NAME_STORAGE_KEY) || "";
+    const getName = () => {
+      const name = nameInput?.value.trim() || `Guest-${Math.floor(Math.random() * 9000 + 1000)}`;
+      localStorage.setItem(PARTY_NAME_STORAGE_KEY, name);
+      return name;
+    };
+
+    listen(hostBtn, "click", () => {
+      try {
+        connectParty({ host: true, room: codeInput?.value.trim(), name: getName() });
+      } catch (err) {
+        reportError("Host watch party", err);
+      }
+    });
+    listen(joinBtn, "click", () => {
+      try {
+        const room = codeInput?.value.trim();
+        if (!room) {
+          reportError("Join watch party", new Error("Enter a room code first"));
+          return;
+        }
+        connectParty({ host: false, room, name: getName() });
+      } catch (err) {
+        reportError("Join watch party", err);
+      }
+    });
+    listen(leaveBtn, "click", () => leaveParty());
+
+    // every local change of what / where / whether we play goes to the room
+    htmlVideo.addEventListener("play", () => broadcastPartyState("play"));
+    htmlVideo.addEventListener("pause", () => broadcastPartyState("pause"));
+    htmlVideo.addEventListener("seeked", () => broadcastPartyState("seek"));
+
+    // ?room=CODE joins straight away
+    const room = new URLSearchParams(window.location.search).get("room");
+    if (room) {
+      if (codeInput) codeInput.value = room;
+      connectParty({ host: false, room, name: getName() });
+    }
+  } catch (err) {
+    reportError("Watch party setup", err);
+  }
+}
+
+// Same host as the page (the reference server serves both), unless
+// ?party=ws://host:port/party says otherwise.
+function getPartyServerUrl() {
+  const override = new URLSearchParams(window.location.search).get("party");
+  if (override) return override;
+  const scheme = window.location.protocol === "https:" ? "wss" : "ws";
+  return `${scheme}://${window.location.host}/party`;
+}
+
+function connectParty({ host, room, name }) {
+  leaveParty();
+  const url = getPartyServerUrl();
+  log("Party", `Connecting to ${url}`);
+  updatePartyStatus("Connecting…");
+
+  const socket = new WebSocket(url);
+  party.socket = socket;
+
+  socket.addEventListener("open", () => {
+    sendParty({ type: "join", room, name, host });
+    sendParty({ type: "ping", t: Date.now() });
+  });
+  socket.addEventListener("message", (event) => {
+    try {
+      handlePartyMessage(JSON.parse(event.data));
+    } catch (err) {
+      reportError("Watch party message", err);
+    }
+  });
+  socket.addEventListener("error", () => {
+    reportError("Watch party", new Error(`Could not reach ${url}`));
+  });
+  socket.addEventListener("close", () => {
+    if (party.socket !== socket) return; // replaced by a newer connection
+    resetParty();
+    updatePartyStatus("Disconnected");
+  });
+}
+
+function leaveParty() {
+  const socket = party.socket;
+  if (!socket) return;
+  party.socket = null;
+  socket.close();
+  resetParty();
+  updatePartyStatus("");
+  log("Party", "Left watch party");
+}
+
+function resetParty() {
+  party.socket = null;
+  party.id = null;
+  party.room = null;
+  party.hostId = null;
+  party.target = null;
+  [...party.peers.keys()].forEach(removePartyPeer);
+  if (htmlVideo) htmlVideo.playbackRate = 1;
+}
+
+function sendParty(message) {
+  if (party.socket?.readyState === WebSocket.OPEN) {
+    party.socket.send(JSON.stringify(message));
+  }
+}
+
+function isPartyHost() {
+  return !!party.id && party.id === party.hostId;
+}
+
+function handlePartyMessage(message) {
+  switch (message.type) {
+    case "welcome": {
+      party.id = message.id;
+      party.room = message.room;
+      party.hostId = message.host;
+      party.seat = message.seat;
+      message.peers.forEach(addPartyPeer);
+      log("Party", `Joined room ${party.room} as ${party.id}`);
+      announce(`Joined watch party ${party.room}`);
+      const codeInput = document.getElementById("party-code");
+      if (codeInput) codeInput.value = party.room;
+      // latecomers pick up whatever the room is watching
+      if (message.state) applyPartyState(message.state);
+      else if (isPartyHost()) broadcastPartyState("load");
+      break;
+    }
+    case "peer-join":
+      addPartyPeer(message);
+      announce(`${message.name} joined the watch party`);
+      break;
+    case "peer-leave":
+      announce(`${party.peers.get(message.id)?.name || "Someone"} left the watch party`);
+      removePartyPeer(message.id);
+      break;
+    case "host":
+      party.hostId = message.id;
+      if (htmlVideo && isPartyHost()) htmlVideo.playbackRate = 1;
+      break;
+    case "state":
+      applyPartyState(message);
+      break;
+    case "pose":
+      updatePeerPose(message);
+      break;
+    case "pong":
+      // assume the reply took as long as the request
+      party.clockOffset = message.serverTime - (message.t + Date.now()) / 2;
+      break;
+    case "error":
+      reportError("Watch party", new Error(message.message));
+      break;
+  }
+  updatePartyStatus();
+}
+
+function getPartyServerNow() {
+  return Date.now() + party.clockOffset;
+}
+
+// What we are playing, for the room. Local files (blob: URLs) can't be
+// shared, so they are left out.
+function getPartySnapshot(action, overrides = {}) {
+  const entry = currentEntry && !currentEntry.url.startsWith("blob:") ? currentEntry : null;
+  return {
+    type: "state",
+    action,
+    entry: entry && {
+      url: entry.url,
+      title: entry.title,
+      type: entry.type,
+      projection: entry.projection,
+      stereo: entry.stereo,
+      subtitles: entry.subtitles,
+    },
+    playlistId: playingFromQueue ? null : currentPlaylistId,
+    index: currentPlaylistIndex,
+    itemId: currentItem?.id ?? null,
+    time: htmlVideo.currentTime || 0,
+    playing: !htmlVideo.paused,
+    ...overrides,
+  };
+}
+
+function broadcastPartyState(action, overrides) {
+  if (!party.id || !htmlVideo) return;
+  // echoes of a state we just applied, and events fired mid-load
+  if (performance.now() < party.remoteUntil) return;
+  if (action !== "load" && htmlVideo.readyState < 2) return;
+
+  const snapshot = getPartySnapshot(action, overrides);
+  if (!snapshot.entry) return;
+  // our own action is now what the room plays towards
+  party.target = { time: snapshot.time, playing: snapshot.playing, sentAt: getPartyServerNow() };
+  sendParty(snapshot);
+}
+
+function applyPartyState(state) {
+  if (!state.entry || !htmlVideo) return;
+  let entry;
+  try {
+    entry = normalizePartyEntry(state.entry);
+    if (![state.time, state.sentAt].every(Number.isFinite) || typeof state.playing !== "boolean") {
+      throw new Error("bad time or play state");
+    }
+  } catch (err) {
+    reportError("Watch party", new Error(`Ignored room state: ${err.message}`));
+    return;
+  }
+  party.target = { time: state.time, playing: state.playing, sentAt: state.sentAt };
+  const sameEntry = entry.url === currentEntry?.url;
+
+  // heartbeats only move the target; updateParty's drift correction (seek
+  // or playback-rate nudge) follows it without swallowing local actions
+  if (state.action === "heartbeat" && sameEntry) return;
+  party.remoteUntil = performance.now() + 600;
+
+  if (!sameEntry) {
+    // the load's own seek / play events are echoes too; give it a few
+    // seconds, cut short once playback starts
+    party.remoteUntil = performance.now() + 5000;
+    htmlVideo.addEventListener(
+      "playing",
+      () => {
+        party.remoteUntil = Math.min(party.remoteUntil, performance.now() + 600);
+      },
+      { once: true }
+    );
+
+    const item = trendingItems.find((i) => i.id === state.itemId);
+    if (item) currentItem = item;
+    const startTime = getPartyTargetTime();
+
+    const list =
+      typeof state.playlistId === "string" && Object.hasOwn(playlists, state.playlistId)
+        ? playlists[state.playlistId]
+        : null;
+    if (Number.isInteger(state.index) && list?.[state.index]?.url === entry.url) {
+      playFromPlaylist(state.playlistId, state.index, startTime);
+    } else {
+      // not in our catalog: play it standalone
+      pushBackStack();
+      playingFromQueue = true;
+      playEntry(entry, startTime);
+    }
+    log("Party", `Following the room to ${entry.title}`);
+    return;
+  }
+
+  syncToPartyTarget(true);
+}
+
+// Room state comes from other people's browsers: keep only the fields a
+// catalog entry has, checked the same way, and only http(s) URLs.
+function normalizePartyEntry(entry) {
+  if (!entry || typeof entry !== "object") throw new Error("entry must be an object");
+  const url = parsePartyUrl(entry.url, "'url'");
+  if (entry.title !== undefined && typeof entry.title !== "string") {
+    throw new Error("'title' must be a string");
+  }
+  if (entry.type !== undefined && !STREAM_TYPES.includes(entry.type)) {
+    throw new Error(`'type' must be one of ${STREAM_TYPES.join(", ")}`);
+  }
+  if (entry.projection !== undefined && !PROJECTION_MODES.includes(entry.projection)) {
+    throw new Error(`'projection' must be one of ${PROJECTION_MODES.join(", ")}`);
+  }
+  if (entry.stereo !== undefined && !STEREO_MODES.includes(entry.stereo)) {
+    throw new Error(`'stereo' must be one of ${STEREO_MODES.join(", ")}`);
+  }
+  if (entry.subtitles !== undefined && !Array.isArray(entry.subtitles)) {
+    throw new Error("'subtitles' must be an array");
+  }
+
+  const subtitles = (entry.subtitles || []).map((sub, index) => {
+    if (!sub || typeof sub !== "object") throw new Error(`subtitle ${index} must be an object`);
+    if (sub.lang !== undefined && typeof sub.lang !== "string") {
+      throw new Error(`subtitle ${index} 'lang' must be a string`);
+    }
+    if (sub.label !== undefined && typeof sub.label !== "string") {
+      throw new Error(`subtitle ${index} 'label' must be a string`);
+    }
+    const lang = sub.lang || "und";
+    return {
+      src: parsePartyUrl(sub.src, `subtitle ${index} 'src'`),
+      lang,
+      label: sub.label || lang.toUpperCase(),
+      default: sub.default === true,
+    };
+  });
+
+  return {
+    url,
+    title: entry.title || titleFromUrl(url),
+    type: entry.type,
+    projection: entry.projection,
+    stereo: entry.stereo,
+    subtitles,
+  };
+}
+
+function parsePartyUrl(value, field) {
+  if (typeof value !== "string" || !/^https?:\/\//i.test(value)) {
+    throw new Error(`${field} must be an http(s) URL`);
+  }
+  return new URL(value).href;
+}
+
+// Where the room's video should be right now, extrapolating while it plays.
+function getPartyTargetTime() {
+  const { time, playing, sentAt } = party.target;
+  const elapsed = playing ? Math.max(0, (getPartyServerNow() - sentAt) / 1000) : 0;
+  return time + elapsed;
+}
+
+// Match the room's play state and position. Big drift seeks; small drift
+// speeds up or slows down playback slightly so nobody sees a jump.
+function syncToPartyTarget(force = false) {
+  if (!party.target || htmlVideo.readyState < 2 || htmlVideo.seeking) return;
+
+  const { playing } = party.target;
+  if (playing === htmlVideo.paused) {
+    party.remoteUntil = performance.now() + 600;
+    if (playing) playVideo();
+    else pauseVideo();
+  }
+
+  const duration = Number.isFinite(htmlVideo.duration) ? htmlVideo.duration : Infinity;
+  const expected = Math.min(getPartyTargetTime(), duration - 0.1);
+  const drift = htmlVideo.currentTime - expected;
+
+  if (Math.abs(drift) > PARTY_DRIFT_SEEK || (force && Math.abs(drift) > PARTY_DRIFT_NUDGE)) {
+    party.remoteUntil = performance.now() + 600;
+    htmlVideo.currentTime = expected;
+    htmlVideo.playbackRate = 1;
+  } else if (playing && Math.abs(drift) > PARTY_DRIFT_NUDGE) {
+    htmlVideo.playbackRate = drift > 0 ? 0.95 : 1.05;
+  } else {
+    htmlVideo.playbackRate = 1;
+  }
+}
+
+// Per frame: host heartbeats, guest drift correction, poses and avatars.
+function updateParty(now, dt) {
+  if (!party.id) return;
+
+  if (isPartyHost()) {
+    if (now - party.lastHeartbeat >= PARTY_HEARTBEAT_MS) {
+      party.lastHeartbeat = now;
+      // not through broadcastPartyState: the reference keeps reporting
+      // even right after applying someone else's change
+      if (htmlVideo.readyState >= 2 && currentEntry && !currentEntry.url.startsWith("blob:")) {
+        sendParty(getPartySnapshot("heartbeat"));
+      }
+    }
+  } else if (now - party.lastSync >= PARTY_SYNC_MS) {
+    party.lastSync = now;
+    syncToPartyTarget();
+  }
+
+  if (party.peers.size > 0 && now - party.lastPose >= PARTY_POSE_MS) {
+    party.lastPose = now;
+    sendPartyPose();
+  }
+
+  const k = 1 - Math.exp(-dt * 12);
+  party.peers.forEach(({ avatar }) => {
+    avatar.children.forEach((part) => {
+      const target = part.userData.target;
+      if (!target) return;
+      part.position.lerp(target.position, k);
+      part.quaternion.slerp(target.quaternion, k);
+    });
+  });
+}
+
+function updatePartyStatus(text) {
+  const status = document.getElementById("party-status");
+  const leaveBtn = document.getElementById("party-leave");
+  const connected = !!party.id;
+  if (leaveBtn) leaveBtn.hidden = !party.socket;
+  if (!status) return;
+
+  if (text !== undefined) status.textContent = text;
+  else if (connected) {
+    const count = party.peers.size + 1;
+    status.textContent =
+      `Room ${party.room} · ${count} watching` + (isPartyHost() ? " · host" : "");
+  }
+}
+
+// ----- Presence avatars -----
+function addPartyPeer({ id, name, seat }) {
+  if (party.peers.has(id)) return;
+  const avatar = createPartyAvatar(name, id);
+  // everyone sits at their own seat, laid out relative to ours
+  avatar.position.x = (seat - party.seat) * PARTY_SEAT_SPACING;
+  partyAvatarGroup.add(avatar);
+  party.peers.set(id, { name, seat, avatar });
+}
+
+function removePartyPeer(id) {
+  const peer = party.peers.get(id);
+  if (!peer) return;
+  partyAvatarGroup.remove(peer.avatar);
+  peer.avatar.traverse((object) => {
+    object.geometry?.dispose();
+    object.material?.map?.dispose();
+    object.material?.dispose();
+  });
+  party.peers.delete(id);
+}
+
+function createPartyAvatar(name, id) {
+  // stable colour per participant
+  let hash = 0;
+  for (const ch of id) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  const color = new THREE.Color().setHSL((hash % 360) / 360, 0.65, 0.6);
+
+  const avatar = new THREE.Group();
+  avatar.name = `avatar-${id}`;
+
+  const head = new THREE.Group();
+  const skull = new THREE.Mesh(
+    new THREE.SphereGeometry(0.12, 20, 14),
+    new THREE.MeshStandardMaterial({ color, roughness: 0.5 })
+  );
+  const visor = new THREE.Mesh(
+    new THREE.BoxGeometry(0.17, 0.06, 0.05),
+    new THREE.MeshStandardMaterial({ color: 0x101320, roughness: 0.3 })
+  );
+  visor.position.set(0, 0.02, -0.1);
+  head.add(skull, visor, createNameSprite(name));
+  head.userData.target = { position: new THREE.Vector3(0, 1.6, 0), quaternion: new THREE.Quaternion() };
+  head.position.copy(head.userData.target.position);
+  avatar.add(head);
+
+  ["left", "right"].forEach((hand) => {
+    const mesh = new THREE.Mesh(
+      new THREE.BoxGeometry(0.05, 0.03, 0.12),
+      new THREE.MeshStandardMaterial({ color, roughness: 0.6 })
+    );
+    mesh.name = hand;
+    mesh.visible = false;
+    mesh.userData.target = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+    avatar.add(mesh);
+  });
+
+  return avatar;
+}
+
+function createNameSprite(name) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 64;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "rgba(5, 8, 20, 0.8)";
+  ctx.beginPath();
+  ctx.roundRect(0, 0, canvas.width, canvas.height, 32);
+  ctx.fill();
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "600 30px system-ui";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(fitText(ctx, name, canvas.width - 32), canvas.width / 2, canvas.height / 2);
+
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: tex, depthWrite: false }));
+  sprite.scale.set(0.4, 0.1, 1);
+  sprite.position.y = 0.24;
+  return sprite;
+}
+
+// [x, y, z, qx, qy, qz, qw], rounded to keep messages small
+function packPose(object) {
+  object.matrixWorld.decompose(origin, tmpQuat, tmpScale);
+  return [...origin.toArray(), ...tmpQuat.toArray()].map((v) => Math.round(v * 1000) / 1000);
+}
+
+function sendPartyPose() {
+  const hands = {};
+  if (renderer.xr.isPresenting) {
+    controllers.forEach((controller) => {
+      const handedness = controller.userData.inputSource?.handedness;
+      if (controller.visible && (handedness === "left" || handedness === "right")) {
+        hands[handedness] = packPose(controller);
+      }
+    });
+  }
+  sendParty({ type: "pose", head: packPose(camera), hands });
+}
+
+function updatePeerPose({ from, head, hands = {} }) {
+  const peer = party.peers.get(from);
+  if (!peer || !Array.isArray(head)) return;
+
+  const [headGroup, left, right] = peer.avatar.children;
+  setPoseTarget(headGroup, head);
+  [
+    [left, hands.left],
+    [right, hands.right],
+  ].forEach(([mesh, pose]) => {
+    if (!Array.isArray(pose)) {
+      mesh.visible = false;
+      return;
+    }
+    if (!mesh.visible) {
+      // appear in place rather than flying in from the origin
+      mesh.position.fromArray(pose, 0);
+      mesh.quaternion.fromArray(pose, 3);
+    }
+    mesh.visible = true;
+    setPoseTarget(mesh, pose);
+  });
+}
+
+function setPoseTarget(object, pose) {
+  object.userData.target.position.fromArray(pose, 0);
+  object.userData.target.quaternion.fromArray(pose, 3).normalize();
+}
+
+// ------- Phase 5d: AR passthrough (hit-test placement + persistent anchors) -------
+function setupAR() {
+  try {
+    const reticleGeo = new THREE.RingGeometry(0.08, 0.1, 32).rotateX(-Math.PI / 2);
+    arReticle = new THREE.Mesh(reticleGeo, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+    arReticle.matrixAutoUpdate = false; // driven straight from the hit-test pose
+    arReticle.visible = false;
+    scene.add(arReticle);
+
+    renderer.xr.addEventListener("sessionstart", onXRSessionStart);
+    renderer.xr.addEventListener("sessionend", onXRSessionEnd);
+  } catch (err) {
+    reportError("AR setup", err);
+  }
+}
+
+async function onXRSessionStart() {
+  const { signal } = lifecycle;
+  try {
+    const session = renderer.xr.getSession();
+    // immersive-vr sessions blend "opaque"; passthrough headsets and phones don't
+    const blendMode = session?.environmentBlendMode;
+    const passthrough = !!blendMode && blendMode !== "opaque";
+    emit("xrsessionstart", { mode: passthrough ? "immersive-ar" : "immersive-vr" });
+    if (!passthrough) return;
+
+    ar.active = true;
+    ar.savedBackground = scene.background;
+    scene.background = null;
+    stageGroup.scale.setScalar(AR_STAGE_SCALE);
+    applyProjection();
+    log("AR", `Passthrough session started (${blendMode})`);
+
+    ar.refSpace = renderer.xr.getReferenceSpace();
+    const viewerSpace = await session.requestReferenceSpace("viewer");
+    const hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
+    if (!ar.active || signal.aborted) {
+      hitTestSource.cancel();
+      return;
+    }
+    ar.hitTestSource = hitTestSource;
+
+    if (!(await restoreARAnchor(session)) && !signal.aborted) startARPlacement();
+  } catch (err) {
+    if (!signal.aborted) reportError("AR session", err);
+  }
+}
+
+function onXRSessionEnd() {
+  emit("xrsessionend");
+  try {
+    // ARButton switches to "local"; VR sessions expect the floor at y = 0
+    renderer.xr.setReferenceSpaceType("local-floor");
+    if (!ar.active) return;
+
+    ar.hitTestSource?.cancel();
+    Object.assign(ar, {
+      active: false,
+      placing: false,
+      placeRequested: false,
+      hitTestSource: null,
+      anchor: null, // anchors die with their session
+      refSpace: null,
+    });
+    arReticle.visible = false;
+    stageGroup.position.set(0, 0, 0);
+    stageGroup.quaternion.identity();
+    stageGroup.scale.setScalar(1);
+    scene.background = ar.savedBackground;
+    applyProjection();
+    log("AR", "Passthrough session ended");
+  } catch (err) {
+    reportError("AR session end", err);
+  }
+}
+
+// Shows the reticle; the next select / pinch drops the screen where it sits.
+function startARPlacement() {
+  if (!ar.active || !ar.hitTestSource) return;
+  ar.placing = true;
+  ar.placeRequested = false;
+  announce("Look at a floor, table or wall and select to place the screen");
+}
+
+// Called every XR frame: follows the anchor, then runs placement hit-tests.
+function updateAR(frame) {
+  if (!ar.active || !frame) return;
+
+  if (ar.anchor && frame.trackedAnchors?.has(ar.anchor)) {
+    const anchorPose = frame.getPose(ar.anchor.anchorSpace, ar.refSpace);
+    if (anchorPose) {
+      arMatrix.fromArray(anchorPose.transform.matrix).multiply(ar.anchorOffset);
+      arMatrix.decompose(stageGroup.position, stageGroup.quaternion, stageGroup.scale);
+    }
+  }
+
+  if (!ar.placing) return;
+  const hit = frame.getHitTestResults(ar.hitTestSource)[0];
+  const pose = hit?.getPose(ar.refSpace);
+  arReticle.visible = !!pose;
+  if (pose) arReticle.matrix.fromArray(pose.transform.matrix);
+
+  if (ar.placeRequested) {
+    ar.placeRequested = false;
+    if (pose) placeStage(hit, pose);
+  }
+}
 
-    if (target < 0) target = 0;
-    if (duration && target > duration - 0.1) {
-      // avoid instantly triggering "ended" event
-      target = duration - 0.1;
+// Floors and tables get the whole stage standing on them, turned to face the
+// viewer; walls get the screen hung flat at the hit point.
+function placeStage(hit, pose) {
+  try {
+    const hitMatrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+    const hitPoint = new THREE.Vector3().setFromMatrixPosition(hitMatrix);
+    // a hit pose's Y axis is the surface normal
+    const normal = new THREE.Vector3().setFromMatrixColumn(hitMatrix, 1);
+    const horizontal = normal.y > 0.7;
+
+    let yaw;
+    if (horizontal) {
+      camera.getWorldPosition(handPoint);
+      yaw = Math.atan2(handPoint.x - hitPoint.x, handPoint.z - hitPoint.z);
+    } else {
+      yaw = Math.atan2(normal.x, normal.z);
     }
-
-    htmlVideo.currentTime = target;
-    log("Seek", `Jumped by ${deltaSeconds}s to ${target.toFixed(2)}s`);
+    stageGroup.quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw);
+    stageGroup.scale.setScalar(AR_STAGE_SCALE);
+
+    // stage origin = hit point minus the screen's offset inside the stage
+    const offset = new THREE.Vector3(
+      0,
+      horizontal ? 0 : curvedScreen.userData.baseY,
+      curvedScreen.position.z
+    );
+    offset.multiplyScalar(AR_STAGE_SCALE).applyQuaternion(stageGroup.quaternion);
+    stageGroup.position.copy(hitPoint).sub(offset);
+    stageGroup.updateMatrix();
+    // the old anchor would drag the stage back on the next frame
+    ar.anchor?.delete();
+    ar.anchor = null;
+
+    ar.placing = false;
+    arReticle.visible = false;
+    log("AR", `Screen placed on a ${horizontal ? "horizontal surface" : "wall"}`);
+    announce("Screen placed");
+    anchorStage(hit, hitMatrix.invert().multiply(stageGroup.matrix));
   } catch (err) {
-    reportError("Seek", err);
+    reportError("AR placement", err);
   }
 }
 
-function playFromPlaylist(playlistId, startIndex = 0) {
+// Without the anchors feature the placement simply lasts for this session.
+async function anchorStage(hit, anchorOffset) {
+  if (!hit.createAnchor) return;
+  const { signal } = lifecycle;
   try {
-    const list = playlists[playlistId];
-    if (!list || list.length === 0) {
-      reportError("Playlist", new Error(`No videos for playlist '${playlistId}'`));
+    const anchor = await hit.createAnchor();
+    if (!ar.active || signal.aborted) {
+      anchor.delete();
       return;
     }
+    ar.anchor = anchor;
+    ar.anchorOffset.copy(anchorOffset);
 
-    currentPlaylistId = playlistId;
-    currentPlaylistIndex = startIndex % list.length;
-
-    const url = list[currentPlaylistIndex];
-    log("Playlist", `Playing [${playlistId}] index ${currentPlaylistIndex}: ${url}`);
-
-    htmlVideo.pause();
-    isPlaying = false;
-    htmlVideo.src = url;
-    htmlVideo.load();
-    videoTexture.needsUpdate = true;
-
-    htmlVideo.onloadeddata = () => {
-      playVideo();
-    };
-
-    // when video ends, jump to next video in the same playlist
-    htmlVideo.onended = () => {
-      const nextIndex = (currentPlaylistIndex + 1) % list.length;
-      playFromPlaylist(playlistId, nextIndex);
-    };
+    if (anchor.requestPersistentHandle) {
+      saveARAnchor(await anchor.requestPersistentHandle());
+    }
   } catch (err) {
-    reportError("playFromPlaylist", err);
+    reportError("AR anchor", err);
   }
 }
 
-
-function pauseVideo() {
-  if (!htmlVideo) return;
-  htmlVideo.pause();
-  isPlaying = false;
-  const btn = document.getElementById("play-pause");
-  if (btn) btn.textContent = "Play";
-  log("Video", "Playback paused");
+// ----- Anchor persistence -----
+async function restoreARAnchor(session) {
+  const saved = loadARAnchor();
+  if (!saved || !session.restorePersistentAnchor) return false;
+  const { signal } = lifecycle;
+  try {
+    const anchor = await session.restorePersistentAnchor(saved.handle);
+    if (!ar.active || signal.aborted) return true;
+    ar.anchor = anchor;
+    ar.anchorOffset.fromArray(saved.offset);
+    log("AR", "Screen restored at its saved anchor");
+    announce("Screen restored where you left it");
+    return true;
+  } catch (err) {
+    // cleared by the headset, or saved in a different room: place it again
+    log("AR", `Saved anchor unavailable: ${err.message}`);
+    localStorage.removeItem(AR_ANCHOR_STORAGE_KEY);
+    return false;
+  }
 }
-
-// ------- Phase 5: XR controllers (also handle hand pinch via select events) -------
-function setupXRControllers() {
+function loadARAnchor() {
   try {
-    log("XR", "Configuring controllers");
-
-    for (let i = 0; i < 2; i++) {
-      const controller = renderer.xr.getController(i);
-      controller.addEventListener("selectstart", () => onXRSelect(controller));
-
-      // simple debug ray
-      const geometry = new THREE.BufferGeometry().setFromPoints([
-        new THREE.Vector3(0, 0, 0),
-        new THREE.Vector3(0, 0, -1),
-      ]);
-      const line = new THREE.Line(
-        geometry,
-        new THREE.LineBasicMaterial({ linewidth: 2 })
-      );
-      line.name = "ray";
-      line.scale.z = 5;
-      controller.add(line);
-
-      scene.add(controller);
-      controllers.push(controller);
-    }
+    const saved = JSON.parse(localStorage.getItem(AR_ANCHOR_STORAGE_KEY) || "null");
+    return saved?.handle && saved.offset?.length === 16 ? saved : null;
   } catch (err) {
-    reportError("XR controllers setup", err);
-    // don't rethrow; app can still run on desktop
+    reportError("AR anchor load", err);
+    return null;
   }
 }
-
-
-function onXRSelect(controller) {
+function saveARAnchor(handle) {
   try {
-    tmpMatrix.identity().extractRotation(controller.matrixWorld);
-    origin.setFromMatrixPosition(controller.matrixWorld);
-    direction.set(0, 0, -1).applyMatrix4(tmpMatrix);
-
-    raycaster.set(origin, direction);
-    const hits = raycaster.intersectObjects(panels, false);
-    if (hits.length > 0) {
-      activatePanel(hits[0].object);
+    const previous = loadARAnchor();
+    if (previous && previous.handle !== handle) {
+      // headsets keep only a limited number of persistent anchors per origin
+      renderer.xr.getSession()?.deletePersistentAnchor?.(previous.handle).catch(() => {});
     }
+    localStorage.setItem(
+      AR_ANCHOR_STORAGE_KEY,
+      JSON.stringify({ handle, offset: ar.anchorOffset.toArray() })
+    );
+    log("AR", "Placement saved for next session");
   } catch (err) {
-    reportError("XR select", err);
+    reportError("AR anchor save", err);
   }
 }
 
@@ -584,32 +6006,43 @@ function setupDOMControls() {
     const fwdBtn = document.getElementById("seek-forward");
     const volDownBtn = document.getElementById("vol-down");
     const volUpBtn = document.getElementById("vol-up");
+    const reloadCatalogBtn = document.getElementById("reload-catalog");
+    const projectionSelect = document.getElementById("projection-mode");
+    const prevBtn = document.getElementById("prev-video");
+    const nextBtn = document.getElementById("next-video");
+    const shuffleBtn = document.getElementById("shuffle");
+    const repeatBtn = document.getElementById("repeat-mode");
+    const queueAddBtn = document.getElementById("queue-add");
+    const layoutBtn = document.getElementById("panel-layout");
+    const screenLayoutBtn = document.getElementById("screen-layout");
+    const searchInput = document.getElementById("panel-search");
+    const queueListEl = document.getElementById("queue-list");
+    const captionsBtn = document.getElementById("captions");
+    const captionLangSelect = document.getElementById("caption-lang");
+    const stereoSelect = document.getElementById("stereo-mode");
+    const reverbSelect = document.getElementById("reverb-preset");
+    const environmentSelect = document.getElementById("environment");
+    const cinemaBtn = document.getElementById("cinema-mode");
+    const ambilightBtn = document.getElementById("ambilight");
 
 
 
 
     if (loadBtn) {
-      loadBtn.addEventListener("click", () => {
+      listen(loadBtn, "click", () => {
         try {
           const customUrl = urlInput ? urlInput.value.trim() : "";
       
           if (customUrl) {
             // Single custom video (not part of playlist)
             log("Video", "Manual URL: " + customUrl);
-            htmlVideo.pause();
-            isPlaying = false;
-            currentPlaylistId = null; // stop playlist logic
-            htmlVideo.src = customUrl;
-            htmlVideo.load();
-            videoTexture.needsUpdate = true;
-            htmlVideo.onloadeddata = () => playVideo();
-            htmlVideo.onended = null; // no auto-next
+            playManualUrl(customUrl);
           } else if (currentItem && currentItem.playlistId) {
             // If no URL typed, restart current card's playlist
             playFromPlaylist(currentItem.playlistId, 0);
-          } else {
-            // Fallback to creators playlist
-            playFromPlaylist("creators", 0);
+          } else if (trendingItems[0]) {
+            // Fallback to the first catalog playlist
+            playFromPlaylist(trendingItems[0].playlistId, 0);
           }
         } catch (err) {
           reportError("Load video button", err);
@@ -619,18 +6052,16 @@ function setupDOMControls() {
     }
 
     if (playPauseBtn) {
-      playPauseBtn.addEventListener("click", () => {
+      listen(playPauseBtn, "click", () => {
         try {
-          if (isPlaying) pauseVideo();
-          else playVideo();
-          ensureAudioEnabled();
+          togglePlayPause();
         } catch (err) {
           reportError("Play/Pause button", err);
         }
       });
     }
     if (unmuteBtn) {
-      unmuteBtn.addEventListener("click", () => {
+      listen(unmuteBtn, "click", () => {
         try {
           toggleMute();
         } catch (err) {
@@ -643,7 +6074,7 @@ function setupDOMControls() {
     updateVolumeLabel();
 
     if (backBtn) {
-      backBtn.addEventListener("click", () => {
+      listen(backBtn, "click", () => {
         try {
           seekBy(-10); // rewind 10 seconds
         } catch (err) {
@@ -653,7 +6084,7 @@ function setupDOMControls() {
     }
 
     if (fwdBtn) {
-      fwdBtn.addEventListener("click", () => {
+      listen(fwdBtn, "click", () => {
         try {
           seekBy(10); // fast-forward 10 seconds
         } catch (err) {
@@ -663,7 +6094,7 @@ function setupDOMControls() {
     }
 
     if (volDownBtn) {
-      volDownBtn.addEventListener("click", () => {
+      listen(volDownBtn, "click", () => {
         try {
           changeVolume(-0.1); // reduce volume by 10%
         } catch (err) {
@@ -673,7 +6104,7 @@ function setupDOMControls() {
     }
     
     if (volUpBtn) {
-      volUpBtn.addEventListener("click", () => {
+      listen(volUpBtn, "click", () => {
         try {
           changeVolume(0.1); // increase volume by 10%
         } catch (err) {
@@ -683,6 +6114,159 @@ function setupDOMControls() {
     }
     
 
+    if (reverbSelect) {
+      reverbSelect.value = reverbSetting;
+      listen(reverbSelect, "change", () => {
+        try {
+          setReverbPreset(reverbSelect.value);
+        } catch (err) {
+          reportError("Reverb select", err);
+        }
+      });
+    }
+
+    if (environmentSelect) {
+      listen(environmentSelect, "change", () => {
+        try {
+          setEnvironment(environmentSelect.value);
+        } catch (err) {
+          reportError("Environment select", err);
+        }
+      });
+    }
+    if (cinemaBtn) listen(cinemaBtn, "click", () => toggleCinemaMode());
+    if (ambilightBtn) listen(ambilightBtn, "click", () => toggleAmbilight());
+    refreshEnvironmentControls();
+
+    // also re-maps whatever is playing, handy when an entry is mislabelled
+    [projectionSelect, stereoSelect].forEach((select) => {
+      if (!select) return;
+      listen(select, "change", () => {
+        try {
+          const selected = getProjectionSelects();
+          setProjection(selected.mode, selected.stereo);
+          updateDeepLink(false);
+        } catch (err) {
+          reportError("Projection select", err);
+        }
+      });
+    });
+    syncProjectionSelects();
+
+    if (prevBtn) {
+      listen(prevBtn, "click", () => playPrevious());
+    }
+    if (nextBtn) {
+      listen(nextBtn, "click", () => playNext(false));
+    }
+    if (shuffleBtn) {
+      listen(shuffleBtn, "click", () => toggleShuffle());
+    }
+    if (repeatBtn) {
+      listen(repeatBtn, "click", () => cycleRepeatMode());
+    }
+    refreshPlaybackModeButtons();
+
+    if (layoutBtn) {
+      listen(layoutBtn, "click", () => {
+        try {
+          setPanelLayoutMode(panelLayout.mode === "arc" ? "grid" : "arc");
+        } catch (err) {
+          reportError("Layout button", err);
+        }
+      });
+    }
+    if (screenLayoutBtn) {
+      listen(screenLayoutBtn, "click", () => {
+        try {
+          cycleScreenLayout();
+        } catch (err) {
+          reportError("Screen layout button", err);
+        }
+      });
+    }
+
+    if (queueAddBtn) {
+      listen(queueAddBtn, "click", () => {
+        try {
+          const customUrl = urlInput ? urlInput.value.trim() : "";
+          if (customUrl) {
+            const selected = getProjectionSelects();
+            queueEntries(
+              [
+                {
+                  url: customUrl,
+                  title: titleFromUrl(customUrl),
+                  projection: selected.mode,
+                  stereo: selected.stereo,
+                  subtitles: [],
+                },
+              ],
+              "manual URL"
+            );
+          } else if (currentItem) {
+            queueCategory(currentItem);
+          }
+        } catch (err) {
+          reportError("Queue button", err);
+        }
+      });
+    }
+
+    if (queueListEl) {
+      listen(queueListEl, "click", (event) => {
+        try {
+          const btn = event.target.closest("button[data-action]");
+          const li = event.target.closest("li[data-index]");
+          if (!btn || !li) return;
+
+          const index = Number(li.dataset.index);
+          if (btn.dataset.action === "play") playQueued(index);
+          else if (btn.dataset.action === "up") moveQueued(index, -1);
+          else if (btn.dataset.action === "down") moveQueued(index, 1);
+          else if (btn.dataset.action === "remove") removeQueued(index);
+        } catch (err) {
+          reportError("Queue list", err);
+        }
+      });
+    }
+    renderQueueList();
+
+    if (captionsBtn) {
+      listen(captionsBtn, "click", () => {
+        try {
+          toggleCaptions();
+        } catch (err) {
+          reportError("Captions button", err);
+        }
+      });
+    }
+
+    if (captionLangSelect) {
+      listen(captionLangSelect, "change", () => {
+        try {
+          selectCaptionTrack(captionLangSelect.value);
+        } catch (err) {
+          reportError("Caption language", err);
+        }
+      });
+    }
+    refreshCaptionControls();
+
+    if (searchInput) {
+      listen(searchInput, "input", () => setSearchQuery(searchInput.value));
+      // Enter plays the best (first) match
+      listen(searchInput, "keydown", (event) => {
+        if (event.key === "Enter" && panels[0]) activatePanel(panels[0]);
+      });
+    }
+
+    if (reloadCatalogBtn) {
+      listen(reloadCatalogBtn, "click", () => {
+        reloadCatalog();
+      });
+    }
+
     updateAudioButtonLabel();
 
 
@@ -697,37 +6281,364 @@ function setupDesktopInteraction() {
   try {
     log("Desktop", "Pointer hover + click enabled");
 
-    window.addEventListener("pointermove", (event) => {
+    listen(window, "pointermove", (event) => {
       try {
-        const x = (event.clientX / window.innerWidth) * 2 - 1;
-        const y = -(event.clientY / window.innerHeight) * 2 + 1;
+        if (isPointerLocked()) {
+          // the crosshair in the middle of the view does the hovering
+          desktopNav.yaw -= event.movementX * LOOK_SENSITIVITY;
+          desktopNav.pitch -= event.movementY * LOOK_SENSITIVITY;
+          desktopNav.pitch = THREE.MathUtils.clamp(desktopNav.pitch, -1.4, 1.4);
+          mouse.set(0, 0);
+          return;
+        }
+        if (desktopNav.drag) dragOrbit(event);
+
+        // relative to the canvas, which only fills the page when not embedded
+        const rect = renderer.domElement.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         mouse.set(x, y);
       } catch (err) {
         reportError("Pointermove", err);
       }
     });
 
-    window.addEventListener("click", () => {
+    // wheel over the 3D view pages / scrolls the panel row
+    let wheelAccumulator = 0;
+    listen(
+      window,
+      "wheel",
+      (event) => {
+        try {
+          if (event.target !== renderer.domElement) return; // DOM overlays scroll normally
+          wheelAccumulator += Math.abs(event.deltaY) > Math.abs(event.deltaX) ? event.deltaY : event.deltaX;
+          if (Math.abs(wheelAccumulator) < 100) return;
+          scrollPanels(Math.sign(wheelAccumulator));
+          wheelAccumulator = 0;
+        } catch (err) {
+          reportError("Wheel", err);
+        }
+      },
+      { passive: true }
+    );
+
+    // right-click a category card to queue its videos
+    listen(window, "contextmenu", (event) => {
+      try {
+        const hit = getHoveredObject();
+        if (hit && hit.userData.item) {
+          event.preventDefault();
+          queueCategory(hit.userData.item);
+        }
+      } catch (err) {
+        reportError("Context menu", err);
+      }
+    });
+
+    listen(window, "click", (event) => {
       try {
-        const hit = getHoveredPanel();
-        if (hit) activatePanel(hit);
+        if (desktopNav.suppressClick) {
+          // the end of an orbit drag, not a click
+          desktopNav.suppressClick = false;
+          return;
+        }
+        const hit = getHoveredHit();
+        if (hit) {
+          activateObject(hit.object, hit);
+        } else if (
+          desktopNav.mode === "look" &&
+          event.target === renderer.domElement &&
+          !renderer.xr.isPresenting
+        ) {
+          renderer.domElement.requestPointerLock();
+        }
       } catch (err) {
         reportError("Click handler", err);
       }
     });
+
+    setupDesktopNavigation();
+    setupKeyboardShortcuts();
   } catch (err) {
     reportError("Desktop interaction setup", err);
   }
 }
 
-let hoveredPanel = null;
+// ----- Keyboard shortcuts + Tab focus through the 3D panels -----
+function setupKeyboardShortcuts() {
+  const canvas = renderer.domElement;
+  canvas.tabIndex = 0;
+  canvas.setAttribute("role", "application");
+  canvas.setAttribute(
+    "aria-label",
+    "VibeSphere 3D view. Tab through category panels, Enter to play. " +
+      "Space play or pause, arrows seek and change volume, M mute, 1 to 9 play a panel."
+  );
+
+  let lastTabBackwards = false;
+  canvas.addEventListener("focus", () => {
+    // keyboard focus only; a mouse click on the canvas shouldn't jump the row
+    if (!canvas.matches(":focus-visible") || panels.length === 0) return;
+    focusPanel(lastTabBackwards ? panels.length - 1 : 0);
+  });
+  canvas.addEventListener("blur", () => focusPanel(-1));
+
+  listen(window, "keydown", (event) => {
+    try {
+      if (event.key === "Tab") {
+        lastTabBackwards = event.shiftKey;
+        if (document.activeElement !== canvas) return;
+        const next = panels.indexOf(keyboardPanel) + (event.shiftKey ? -1 : 1);
+        // past either end, let the browser move focus out of the canvas
+        if (next < 0 || next >= panels.length) return;
+        event.preventDefault();
+        focusPanel(next);
+        return;
+      }
+
+      if (isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isMovementKey(event.code)) return; // WASD / captured arrows walk instead
+
+      const onCanvas = event.target === canvas;
+      const digit = /^(Digit|Numpad)([1-9])$/.exec(event.code);
+
+      if ((event.key === "Enter" || event.key === " ") && onCanvas && keyboardPanel) {
+        event.preventDefault();
+        activatePanel(keyboardPanel);
+      } else if (event.key === " ") {
+        // a focused DOM button activates itself on space
+        if (event.target instanceof HTMLButtonElement) return;
+        event.preventDefault();
+        togglePlayPause();
+      } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+        event.preventDefault();
+        seekBy(event.key === "ArrowLeft" ? -10 : 10);
+      } else if (event.key === "ArrowUp" || event.key === "ArrowDown") {
+        event.preventDefault();
+        changeVolume(event.key === "ArrowUp" ? 0.1 : -0.1);
+      } else if (event.code === "KeyM") {
+        toggleMute();
+      } else if (digit) {
+        const panel = panels[Number(digit[2]) - 1];
+        if (panel) activatePanel(panel);
+      }
+    } catch (err) {
+      reportError("Keyboard shortcut", err);
+    }
+  });
+}
+
+// Move the keyboard highlight to panels[index] (or clear it with -1),
+// scrolling it into view and reading out its title.
+function focusPanel(index) {
+  const panel = panels[index] || null;
+  if (keyboardPanel && keyboardPanel !== panel && keyboardPanel !== hoveredPanel) {
+    setHighlight(keyboardPanel, false);
+  }
+  keyboardPanel = panel;
+  if (!panel) return;
+
+  if (panelLayout.mode === "grid") {
+    panelPage = Math.floor(index / (panelLayout.gridColumns * panelLayout.gridRows));
+  } else {
+    panelScroll = index; // clamped to the scroll range by the layout
+  }
+  layoutPanels();
+  setHighlight(panel, true);
+  announce(`${panel.userData.item.title}, panel ${index + 1} of ${panels.length}`);
+}
+
+// ----- Desktop navigation -----
+function setupDesktopNavigation() {
+  const crosshair = document.getElementById("crosshair");
+  const navBtn = document.getElementById("nav-mode");
+
+  listen(document, "pointerlockchange", () => {
+    const locked = isPointerLocked();
+    if (crosshair) crosshair.hidden = !locked;
+    if (locked) mouse.set(0, 0);
+    else desktopNav.keys.clear();
+    log("Desktop", locked ? "Mouse-look on (Esc to release)" : "Mouse-look off");
+  });
+
+  listen(window, "keydown", (event) => {
+    try {
+      if (isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      if (event.code === "KeyR") {
+        recentreDesktopCamera();
+      } else if (event.code === "KeyO") {
+        setDesktopNavMode(desktopNav.mode === "look" ? "orbit" : "look");
+      } else if (isMovementKey(event.code)) {
+        desktopNav.keys.add(event.code);
+        if (event.code.startsWith("Arrow")) event.preventDefault();
+      }
+    } catch (err) {
+      reportError("Navigation keys", err);
+    }
+  });
+  listen(window, "keyup", (event) => desktopNav.keys.delete(event.code));
+  listen(window, "blur", () => desktopNav.keys.clear());
+
+  renderer.domElement.addEventListener("pointerdown", (event) => {
+    if (desktopNav.mode !== "orbit" || event.button !== 0) return;
+    desktopNav.drag = { x: event.clientX, y: event.clientY, moved: 0 };
+  });
+  listen(window, "pointerup", () => {
+    if (desktopNav.drag && desktopNav.drag.moved > 4) desktopNav.suppressClick = true;
+    desktopNav.drag = null;
+  });
+
+  if (navBtn) {
+    listen(navBtn, "click", () => {
+      try {
+        setDesktopNavMode(desktopNav.mode === "look" ? "orbit" : "look");
+      } catch (err) {
+        reportError("Navigation mode button", err);
+      }
+    });
+  }
+}
+
+function isPointerLocked() {
+  return document.pointerLockElement === renderer.domElement;
+}
+
+function isTypingTarget(target) {
+  return !!target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+}
+
+// WASD always moves; the arrows only while the mouse is captured, since
+// otherwise they drive playback.
+function isMovementKey(code) {
+  if (/^Key[WASD]$/.test(code)) return true;
+  return code.startsWith("Arrow") && isPointerLocked();
+}
+
+function setDesktopNavMode(mode) {
+  mode = mode === "orbit" ? "orbit" : "look";
+  if (mode === desktopNav.mode) return;
+
+  if (mode === "orbit") {
+    if (isPointerLocked()) document.exitPointerLock();
+    // orbit from wherever the camera is now
+    const offset = camera.position.clone().sub(ORBIT_TARGET);
+    desktopNav.orbitDistance = THREE.MathUtils.clamp(offset.length(), 1.5, 9);
+    desktopNav.orbitYaw = Math.atan2(offset.x, offset.z);
+    desktopNav.orbitPitch = THREE.MathUtils.clamp(
+      Math.asin(offset.y / (offset.length() || 1)),
+      -0.3,
+      1.2
+    );
+  } else {
+    // keep looking the same way
+    desktopNav.yaw = camera.rotation.y;
+    desktopNav.pitch = camera.rotation.x;
+  }
+  desktopNav.mode = mode;
+
+  const btn = document.getElementById("nav-mode");
+  if (btn) btn.textContent = mode === "orbit" ? "View: Orbit" : "View: Look";
+  log("Desktop", `Navigation mode: ${mode}`);
+}
+
+function recentreDesktopCamera() {
+  desktopNav.yaw = 0;
+  desktopNav.pitch = 0;
+  desktopNav.orbitYaw = 0;
+  desktopNav.orbitPitch = 0;
+  desktopNav.orbitDistance = DESKTOP_HOME.distanceTo(ORBIT_TARGET);
+  camera.position.copy(DESKTOP_HOME);
+  log("Desktop", "Camera recentred");
+}
+
+function dragOrbit(event) {
+  const drag = desktopNav.drag;
+  const dx = event.clientX - drag.x;
+  const dy = event.clientY - drag.y;
+  drag.x = event.clientX;
+  drag.y = event.clientY;
+  drag.moved += Math.abs(dx) + Math.abs(dy);
+
+  desktopNav.orbitYaw -= dx * LOOK_SENSITIVITY * 2;
+  desktopNav.orbitPitch = THREE.MathUtils.clamp(
+    desktopNav.orbitPitch + dy * LOOK_SENSITIVITY * 2,
+    -0.3,
+    1.2
+  );
+}
+
+// Per frame, outside XR (the headset owns the camera while presenting).
+function updateDesktopNavigation(dt) {
+  if (renderer.xr.isPresenting) return;
+  const keys = desktopNav.keys;
+  const axis = (plus, minus) =>
+    (plus.some((k) => keys.has(k)) ? 1 : 0) - (minus.some((k) => keys.has(k)) ? 1 : 0);
+  const forward = axis(["KeyW", "ArrowUp"], ["KeyS", "ArrowDown"]);
+  const strafe = axis(["KeyD", "ArrowRight"], ["KeyA", "ArrowLeft"]);
+
+  if (desktopNav.mode === "orbit") {
+    // A/D circle the target, W/S dolly in and out
+    desktopNav.orbitYaw += strafe * ORBIT_KEY_SPEED * dt;
+    desktopNav.orbitDistance = THREE.MathUtils.clamp(
+      desktopNav.orbitDistance - forward * MOVE_SPEED * dt,
+      1.5,
+      9
+    );
+    const { orbitYaw, orbitPitch, orbitDistance } = desktopNav;
+    camera.position.set(
+      ORBIT_TARGET.x + Math.sin(orbitYaw) * Math.cos(orbitPitch) * orbitDistance,
+      ORBIT_TARGET.y + Math.sin(orbitPitch) * orbitDistance,
+      ORBIT_TARGET.z + Math.cos(orbitYaw) * Math.cos(orbitPitch) * orbitDistance
+    );
+    clampToRoom(camera.position);
+    camera.lookAt(ORBIT_TARGET);
+    return;
+  }
+
+  if (forward || strafe) {
+    // walk on the floor plane regardless of pitch
+    const { yaw } = desktopNav;
+    const step = MOVE_SPEED * dt;
+    camera.position.x += (-Math.sin(yaw) * forward + Math.cos(yaw) * strafe) * step;
+    camera.position.z += (-Math.cos(yaw) * forward - Math.sin(yaw) * strafe) * step;
+    clampToRoom(camera.position);
+  }
+  camera.rotation.set(desktopNav.pitch, desktopNav.yaw, 0);
+}
+
+function clampToRoom(position) {
+  position.x = THREE.MathUtils.clamp(position.x, roomBounds.minX, roomBounds.maxX);
+  position.z = THREE.MathUtils.clamp(position.z, roomBounds.minZ, roomBounds.maxZ);
+  position.y = THREE.MathUtils.clamp(position.y, 0.3, 5.5);
+}
+
+// Everything a pointer or controller ray can hover and select.
+function getInteractiveObjects() {
+  return [...panels, ...controlButtons].filter(isShown);
+}
+
+// Raycasts ignore `visible`, so hidden buttons have to be filtered out.
+function isShown(object) {
+  for (let o = object; o; o = o.parent) {
+    if (!o.visible) return false;
+  }
+  return true;
+}
+
+function getHoveredObject() {
+  return getHoveredHit()?.object || null;
+}
+
+// Closest intersection under the desktop pointer or an XR ray, or null.
+function getHoveredHit() {
+  const targets = getInteractiveObjects();
 
-function getHoveredPanel() {
   // 1) Desktop pointer hover
   raycaster.setFromCamera(mouse, camera);
-  let hits = raycaster.intersectObjects(panels, false);
+  let hits = raycaster.intersectObjects(targets, false);
   if (hits.length > 0) {
-    return hits[0].object;
+    return hits[0];
   }
 
   // 2) XR controllers / hands hover (select rays)
@@ -739,9 +6650,9 @@ function getHoveredPanel() {
     direction.set(0, 0, -1).applyMatrix4(tmpMatrix);
 
     raycaster.set(origin, direction);
-    hits = raycaster.intersectObjects(panels, false);
+    hits = raycaster.intersectObjects(targets, false);
     if (hits.length > 0) {
-      return hits[0].object;
+      return hits[0];
     }
   }
 
@@ -751,30 +6662,20 @@ function getHoveredPanel() {
 
 function updateHover() {
   try {
-    const hit = getHoveredPanel();
+    hoveredHit = getHoveredHit();
+    const hit = hoveredHit?.object || null;
 
     if (hit) {
-      if (hoveredPanel && hoveredPanel !== hit) {
+      if (hoveredPanel && hoveredPanel !== hit && hoveredPanel !== keyboardPanel) {
         // reset previous
-        hoveredPanel.scale.set(1, 1, 1);
-        if (hoveredPanel.material && hoveredPanel.material.emissive) {
-          hoveredPanel.material.emissiveIntensity = 0.0;
-        }
+        setHighlight(hoveredPanel, false);
       }
 
       hoveredPanel = hit;
-      hoveredPanel.scale.set(1.05, 1.05, 1.05);
-
-      if (hoveredPanel.material && hoveredPanel.material.emissive) {
-        hoveredPanel.material.emissive = new THREE.Color(0xffffff);
-        hoveredPanel.material.emissiveIntensity = 0.25; // subtle glow
-      }
+      setHighlight(hoveredPanel, true);
     } else {
-      if (hoveredPanel) {
-        hoveredPanel.scale.set(1, 1, 1);
-        if (hoveredPanel.material && hoveredPanel.material.emissive) {
-          hoveredPanel.material.emissiveIntensity = 0.0;
-        }
+      if (hoveredPanel && hoveredPanel !== keyboardPanel) {
+        setHighlight(hoveredPanel, false);
       }
       hoveredPanel = null;
     }
@@ -784,25 +6685,70 @@ function updateHover() {
 }
 
 
+// Hover glow + slight enlargement. Category panels get their scale from
+// animatePanels (which knows the layout's base scale), buttons here.
+function setHighlight(object, on) {
+  if (object.material && object.material.emissive) {
+    object.material.emissive.setHex(0xffffff);
+    object.material.emissiveIntensity = on ? 0.25 : 0.0; // subtle glow
+  }
+  if (!object.userData.item && object !== timelineMesh) {
+    object.scale.setScalar(on ? 1.05 : 1);
+  }
+}
+
+// `hit` is the raycast intersection, for objects that care where they were
+// selected (the timeline seeks to hit.uv).
+function activateObject(object, hit) {
+  if (object.userData.item) {
+    activatePanel(object);
+  } else if (object.userData.onSelectAt) {
+    try {
+      object.userData.onSelectAt(hit);
+    } catch (err) {
+      reportError("Control button", err);
+    }
+  } else if (object.userData.onSelect) {
+    try {
+      object.userData.onSelect();
+    } catch (err) {
+      reportError("Control button", err);
+    }
+  }
+}
+
 function activatePanel(panel) {
   try {
     if (!panel || !panel.userData.item) return;
     const item = panel.userData.item;
     currentItem = item;
+    emit("panelactivated", { item });
 
     ensureAudioEnabled();
 
-    // 🔁 NEW: play from the associated playlist
+    // 🔁 NEW: play from the associated playlist, resuming where we left it
     if (item.playlistId) {
-      playFromPlaylist(item.playlistId, 0);
+      // the generated list may have moved on since the card was built
+      if (item.playlistId === CONTINUE_PLAYLIST_ID) buildContinueWatchingItem();
+      const resume = getResumePoint(item.playlistId);
+      beginDeepLinkNavigation();
+      playFromPlaylist(item.playlistId, resume.index, resume.time);
     }
 
-    // overlay text still fine
+    // built from nodes: titles and descriptions come from the manifest,
+    // which ?catalog= can point anywhere
     const overlayText = document.getElementById("overlay-text");
     if (overlayText) {
-      overlayText.innerHTML =
-        `<strong>${item.title}</strong><br/>${item.description}<br/><br/>` +
-        `Click or pinch another card to switch playlists.`;
+      const title = document.createElement("strong");
+      title.textContent = item.title;
+      overlayText.replaceChildren(
+        title,
+        document.createElement("br"),
+        item.description || "",
+        document.createElement("br"),
+        document.createElement("br"),
+        "Click or pinch another card to switch playlists."
+      );
     }
 
     log("Panel", `Activated: ${item.title}`);
@@ -823,18 +6769,33 @@ function startLoop() {
   }
 }
 
-function render() {
+function render(time, frame) {
   try {
-    const t = performance.now() * 0.001;
-
-    if (panelGroup) {
-      panelGroup.children.forEach((panel, i) => {
-        panel.position.y = 0.65 + Math.sin(t + i) * 0.03;
-      });
-    }
+    const now = performance.now();
+    const t = now * 0.001;
+    const dt = Math.min(0.1, (now - lastFrameTime) / 1000);
+    lastFrameTime = now;
+
+    updateDesktopNavigation(dt);
+    updateEnvironment(now, dt);
+    updateParty(now, dt);
+    animatePanels(dt, t);
+    pollXRGamepads(now);
+    updateHands(now);
+    updateAR(frame);
     if (curvedScreen) {
-      curvedScreen.position.y = 2.1 + Math.sin(t * 0.5) * 0.05;
+      curvedScreen.position.y = curvedScreen.userData.baseY + Math.sin(t * 0.5) * 0.05;
+    }
+    if (sphereScreen && sphereScreen.visible) {
+      // centred on the viewer's head so the panorama has no parallax
+      camera.getWorldPosition(sphereScreen.position);
     }
+    updateControlBar();
+    updateTimeline();
+    updateScreenWall(now);
+    updateQueueList3D();
+    updateVirtualKeyboard();
+    updateCaptionPlacement();
 
     updateHover();
     renderer.render(scene, camera);
@@ -842,3 +6803,276 @@ function render() {
     reportError("Render", err);
   }
 }
+
+// ------- Public API (embedding) -------
+
+/**
+ * Creates a VibeSphere instance inside `container` (the whole page when it
+ * is document.body) and starts it. Options:
+ *   catalog    manifest URL or manifest object (default ?catalog= / ./catalog.json)
+ *   deepLinks  false to leave the page URL alone (default true)
+ *
+ * The returned EventTarget fires panelactivated, play, pause, ended, error,
+ * xrsessionstart and xrsessionend; each event's `detail` carries the data.
+ * Hand-tracking models need an import map for the bare "three" specifier
+ * (copy the one in index.html); without it hands work but are not drawn.
+ * The app state is module-wide, so only one instance can be live at a time:
+ * creating another throws until destroy() is called on the current one.
+ * Work still in flight at destroy() (catalog fetch, XR setup) is dropped
+ * rather than landing in the next instance. fixtures/embed-lifecycle.html
+ * checks create -> destroy -> create in a browser.
+ */
+export function createVibeSphere(container = document.body, options = {}) {
+  if (instance) throw new Error("A VibeSphere instance is already running; destroy() it first");
+  if (!(container instanceof HTMLElement)) throw new Error("createVibeSphere needs a container element");
+
+  hostContainer = container;
+  instanceOptions = { ...options };
+  lifecycle = new AbortController();
+
+  const api = new EventTarget();
+  instance = api;
+  Object.assign(api, {
+    play() {
+      playVideo();
+    },
+    pause() {
+      pauseVideo();
+    },
+    seek(seconds) {
+      if (htmlVideo) seekBy(seconds - htmlVideo.currentTime);
+    },
+    // a catalog item id, optionally at a playlist position / time
+    loadItem(id, { index, time } = {}) {
+      const item = getPanelItems().find((candidate) => String(candidate.id) === String(id));
+      if (!item?.playlistId) {
+        reportError("loadItem", new Error(`No catalog item '${id}'`));
+        return false;
+      }
+      currentItem = item;
+      const resume = getResumePoint(item.playlistId);
+      beginDeepLinkNavigation();
+      playFromPlaylist(item.playlistId, index ?? resume.index, time ?? (index === undefined ? resume.time : 0));
+      return true;
+    },
+    loadUrl(url) {
+      playManualUrl(url);
+    },
+    // "single", "pip" or "wall"
+    setScreenLayout(layout) {
+      setScreenLayout(layout);
+    },
+    setCatalog(source) {
+      return reloadCatalog(source);
+    },
+    getState() {
+      return {
+        playing: isPlaying,
+        time: htmlVideo?.currentTime || 0,
+        duration: htmlVideo?.duration || 0,
+        entry: currentEntry,
+        item: currentItem,
+        playlistId: currentPlaylistId,
+        index: currentPlaylistIndex,
+        screenLayout: screenWall.layout,
+        xr: !!renderer?.xr.isPresenting,
+      };
+    },
+    destroy() {
+      if (instance === api) destroyInstance();
+    },
+  });
+  api.ready = init();
+  return api;
+}
+
+// Stops playback, the loop, XR, the party and every page listener, frees
+// GPU resources and removes the canvas and video from the container.
+function destroyInstance() {
+  try {
+    log("Embed", "Destroying instance");
+    recordPlaybackPosition(true);
+    clearSecondaryScreens();
+    lifecycle.abort();
+    resizeObserver?.disconnect();
+
+    if (renderer) {
+      renderer.setAnimationLoop(null);
+      renderer.xr.removeEventListener("sessionstart", onXRSessionStart);
+      renderer.xr.removeEventListener("sessionend", onXRSessionEnd);
+      renderer.xr.getSession()?.end().catch(() => {});
+      if (isPointerLocked()) document.exitPointerLock();
+    }
+
+    leaveParty();
+    clearPlaybackWatchdog();
+    clearTimeout(playbackAttempt.timer);
+    destroyStreamPlayer();
+
+    [htmlVideo, previewVideo].forEach((video) => {
+      if (!video) return;
+      video.pause();
+      video.removeAttribute("src");
+      video.load(); // drops the buffered media
+      video.remove();
+    });
+    releaseSpatialAudio();
+    localEntries.forEach((entry) => URL.revokeObjectURL(entry.url));
+    if (localSingleUrl) URL.revokeObjectURL(localSingleUrl);
+
+    scene?.traverse((object) => {
+      object.geometry?.dispose();
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.forEach((material) => {
+        if (!material) return;
+        material.map?.dispose();
+        material.dispose();
+      });
+    });
+    environment.skyboxTexture?.dispose();
+    videoTexture?.dispose();
+    if (renderer) {
+      renderer.dispose();
+      renderer.forceContextLoss(); // browsers cap live WebGL contexts
+      renderer.domElement.remove();
+    }
+    xrButtons.forEach((button) => button.remove());
+  } catch (err) {
+    reportError("Destroy", err);
+  } finally {
+    resetInstanceState();
+  }
+}
+
+// Back to the module's initial state so the next createVibeSphere starts clean.
+function resetInstanceState() {
+  scene = camera = renderer = null;
+  stageGroup = panelGroup = roomGroup = roomParts = null;
+  hemiLight = dirLight = null;
+  curvedScreen = sphereScreen = screenMaterial = videoTexture = null;
+  htmlVideo = previewVideo = null;
+  timelineMesh = previewMesh = null;
+  timelineHover = timelineDrag = null;
+  Object.assign(screenWall, {
+    layout: "single",
+    group: null,
+    screens: [],
+    focused: null,
+    previousLayout: "single",
+    resumeMain: false,
+  });
+  captionMesh = controlBar = queueList3D = null;
+  captionTracks = [];
+  activeCaptionTrack = null;
+  panels = [];
+  allPanels = [];
+  controlButtons = [];
+  panelArrows = { left: null, right: null };
+  hoveredPanel = keyboardPanel = hoveredHit = null;
+  controllers.length = 0;
+  hands.length = 0;
+  wristMenu = wristMenuOwner = null;
+  Object.assign(ar, {
+    active: false,
+    placing: false,
+    placeRequested: false,
+    hitTestSource: null,
+    anchor: null,
+    refSpace: null,
+    savedBackground: null,
+  });
+  arReticle = null;
+  virtualKeyboard.group = null;
+  partyAvatarGroup = null;
+  environment.skyboxTexture = null;
+  environment.skyboxUrl = null;
+  audioListener = screenAudio = reverb = null;
+  spatialAudioFailed = false;
+  audioEnabled = false;
+  streamPlayer = null;
+  isPlaying = false;
+  currentItem = currentEntry = currentSourceUrl = null;
+  currentPlaylistId = null;
+  currentPlaylistIndex = 0;
+  Object.assign(desktopNav, {
+    mode: "look",
+    yaw: 0,
+    pitch: 0,
+    orbitYaw: 0,
+    orbitPitch: 0,
+    orbitDistance: DESKTOP_HOME.distanceTo(ORBIT_TARGET),
+    drag: null,
+    suppressClick: false,
+  });
+  desktopNav.keys.clear();
+
+  // session state: catalog, playback order, queue, search, party, settings
+  catalogSource = DEFAULT_CATALOG_URL;
+  playlists = {};
+  trendingItems = [];
+  localEntries = [];
+  localSingleUrl = null;
+  watchHistory = { positions: {}, playlistIndex: {} };
+  lastHistorySave = 0;
+  Object.assign(deepLink, { pushNext: false, restoring: false, lastWrite: 0 });
+  repeatMode = "all";
+  shuffleEnabled = false;
+  shuffleOrder = { playlistId: null, order: [], position: 0 };
+  userQueue = [];
+  playingFromQueue = false;
+  backStack = [];
+  queueScroll = 0;
+  searchQuery = "";
+  Object.assign(virtualKeyboard, { target: "search", url: "", shift: false });
+  panelLayout.mode = "arc";
+  panelScroll = 0;
+  panelPage = 0;
+  captionsEnabled = false;
+  preferredCaptionLang = null;
+  projection.mode = "flat";
+  projection.stereo = "mono";
+  screenAspect = 16 / 9;
+  previewPendingTime = null;
+  timelineDomDragging = false;
+  gamepadMapping = { ...DEFAULT_GAMEPAD_MAPPING };
+  party.peers.clear();
+  Object.assign(party, {
+    socket: null,
+    id: null,
+    room: null,
+    hostId: null,
+    seat: 0,
+    clockOffset: 0,
+    target: null,
+    remoteUntil: 0,
+    lastHeartbeat: 0,
+    lastSync: 0,
+    lastPose: 0,
+  });
+  reverbSetting = "auto";
+  playbackVolume = 1;
+  playbackMuted = true;
+  Object.assign(environment, {
+    preset: "cinema",
+    cinemaMode: false,
+    ambilight: false,
+    dim: 1,
+    tint: 0,
+    lastSample: 0,
+    unreadableUrl: null,
+  });
+  environment.ambientColor.setHex(0xffffff);
+  environment.targetColor.setHex(0xffffff);
+  urlHealth = {};
+  playbackAttempt = { url: null, retries: 0, settled: false, timer: null };
+  playbackWatchdog = null;
+  consecutiveSkips = 0;
+  metadataJobs = []; // a probe in flight finishes on its own
+  streamLoadToken++; // drops stream attaches still loading for the old video
+
+  xrButtons = [];
+  resizeObserver = null;
+  hostContainer = document.body;
+  instanceOptions = {};
+  instance = null;
+}
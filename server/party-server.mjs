@@ -0,0 +1,421 @@
+// VibeSphere watch-party reference server – no dependencies, Node 18+
+//
+//   node server/party-server.mjs [port] [host]   (default 8080 / 127.0.0.1, or $PORT / $HOST)
+//
+// Serves the app's own files plus fixtures/ (nothing else from the repository)
+// and relays watch-party messages over a WebSocket at /party, so
+// http://localhost:8080 works out of the box. Pass a host such as 0.0.0.0 to let other devices
+// on the network join.
+// The app connects to the page's own host by default; point it elsewhere
+// with ?party=ws://host:port/party.
+//
+// Protocol (JSON text frames):
+//   client -> server
+//     { type: "join", room?, name, host }   host=true creates a room (code generated if omitted)
+//     { type: "state", ... }                playback state; shape-checked, stored and relayed
+//     { type: "pose", ... }                 head / controller poses; shape-checked and relayed
+//     { type: "ping", t }                   clock sync
+//   server -> client
+//     { type: "welcome", id, room, host, seat, peers: [{ id, name, seat }], state }
+//     { type: "peer-join", id, name, seat } / { type: "peer-leave", id } / { type: "host", id }
+//     { type: "state" | "pose", from, sentAt, ... }
+//     { type: "pong", t, serverTime } / { type: "error", message }
+
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const HOST = process.argv[3] || process.env.HOST || "127.0.0.1";
+const WS_PATH = "/party";
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const ROOM_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I
+
+// URL path -> file under ROOT; everything else is a 404
+const APP_FILES = {
+  "/": "index.html",
+  "/index.html": "index.html",
+  "/main.js": "main.js",
+  "/style.css": "style.css",
+  "/catalog.json": "catalog.json",
+};
+// the test catalog and generated streams, e.g. /?catalog=fixtures/catalog.streams.json
+const FIXTURES_DIR = path.join(ROOT, "fixtures");
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".mpd": "application/dash+xml",
+  ".m4s": "video/iso.segment",
+  ".mp4": "video/mp4",
+  ".vtt": "text/vtt; charset=utf-8",
+};
+
+const rooms = new Map(); // code -> { code, hostId, clients: Map<id, client>, state, nextSeat }
+let nextClientId = 1;
+
+function log(stage, msg) {
+  console.log(`[VibeSphere party][${stage}] ${msg}`);
+}
+
+// ------- Static files -------
+function serveStatic(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const filePath = resolveStaticPath(url.pathname);
+  if (!filePath) {
+    res.writeHead(404).end("Not found");
+    return;
+  }
+
+  fs.readFile(filePath, (readErr, data) => {
+    if (readErr) {
+      res.writeHead(404).end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type": MIME_TYPES[path.extname(filePath)] || "application/octet-stream",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.end(data);
+  });
+}
+
+// Only known file types, and nothing that resolves outside fixtures/
+function resolveStaticPath(pathname) {
+  if (APP_FILES[pathname]) return path.join(ROOT, APP_FILES[pathname]);
+  if (!pathname.startsWith("/fixtures/")) return null;
+
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname.slice("/fixtures/".length));
+  } catch {
+    return null;
+  }
+  const filePath = path.resolve(FIXTURES_DIR, relative);
+  if (!filePath.startsWith(FIXTURES_DIR + path.sep)) return null;
+  return MIME_TYPES[path.extname(filePath)] ? filePath : null;
+}
+
+// ------- Minimal WebSocket (RFC 6455) -------
+function acceptUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== WS_PATH || !key || req.headers.upgrade?.toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const client = {
+    id: `p${nextClientId++}`,
+    socket,
+    name: "Guest",
+    room: null,
+    seat: 0,
+    closed: false,
+  };
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+
+  socket.on("data", (chunk) => {
+    if (client.closed) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let frame;
+      while ((frame = readFrame(buffer))) {
+        buffer = buffer.subarray(frame.length);
+        if (frame.opcode === 0x8) {
+          closeClient(client);
+          return;
+        }
+        if (frame.opcode === 0x9) {
+          sendFrame(socket, 0xa, frame.payload);
+          continue;
+        }
+        if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+          fragments.push(frame.payload);
+          if (!frame.fin) continue;
+          const text = Buffer.concat(fragments).toString("utf8");
+          fragments = [];
+          onMessage(client, text);
+        }
+      }
+    } catch (err) {
+      log("Socket", `${client.id}: ${err.message}`);
+      closeClient(client);
+    }
+  });
+  socket.on("close", () => leaveRoom(client));
+  socket.on("error", () => leaveRoom(client));
+}
+
+// Returns { fin, opcode, payload, length } or null when more bytes are needed.
+function readFrame(buf) {
+  if (buf.length < 2) return null;
+  const fin = (buf[0] & 0x80) !== 0;
+  const opcode = buf[0] & 0x0f;
+  const masked = (buf[1] & 0x80) !== 0;
+  let size = buf[1] & 0x7f;
+  let offset = 2;
+
+  if (size === 126) {
+    if (buf.length < 4) return null;
+    size = buf.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buf.length < 10) return null;
+    size = Number(buf.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (size > MAX_MESSAGE_BYTES) throw new Error("message too large");
+  if (!masked) throw new Error("client frames must be masked");
+
+  if (buf.length < offset + 4 + size) return null;
+  const mask = buf.subarray(offset, offset + 4);
+  const payload = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    payload[i] = buf[offset + 4 + i] ^ mask[i % 4];
+  }
+  return { fin, opcode, payload, length: offset + 4 + size };
+}
+
+function sendFrame(socket, opcode, payload) {
+  if (socket.destroyed) return;
+  const size = payload.length;
+  let header;
+  if (size < 126) {
+    header = Buffer.from([0x80 | opcode, size]);
+  } else if (size < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(size, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(size), 2);
+  }
+  socket.write(Buffer.concat([header, payload]));
+}
+
+function send(client, message) {
+  sendFrame(client.socket, 0x1, Buffer.from(JSON.stringify(message)));
+}
+
+function closeClient(client) {
+  client.closed = true;
+  leaveRoom(client);
+  if (!client.socket.destroyed) {
+    sendFrame(client.socket, 0x8, Buffer.alloc(0));
+    client.socket.end();
+  }
+}
+
+// ------- Rooms -------
+function onMessage(client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    send(client, { type: "error", message: "Invalid JSON" });
+    return;
+  }
+
+  switch (message.type) {
+    case "join":
+      joinRoom(client, message);
+      break;
+    case "state": {
+      if (!client.room) return;
+      const state = sanitizeState(message);
+      if (!state) {
+        send(client, { type: "error", message: "Malformed state message" });
+        return;
+      }
+      client.room.state = { ...state, from: client.id, sentAt: Date.now() };
+      broadcast(client.room, client.room.state, client);
+      break;
+    }
+    case "pose": {
+      if (!client.room) return;
+      const pose = sanitizePose(message);
+      if (!pose) return; // sent many times a second; just drop bad ones
+      broadcast(client.room, { ...pose, from: client.id, sentAt: Date.now() }, client);
+      break;
+    }
+    case "ping":
+      send(client, { type: "pong", t: message.t, serverTime: Date.now() });
+      break;
+    default:
+      send(client, { type: "error", message: `Unknown message type '${message.type}'` });
+  }
+}
+
+// Relayed messages are rebuilt from the fields the app sends, with the
+// expected types, so nothing else reaches the other clients.
+function sanitizeState(message) {
+  const { action, entry, playlistId, index, itemId, time, playing } = message;
+  if (!isShortString(action)) return null;
+  if (!entry || typeof entry !== "object" || !isHttpUrl(entry.url)) return null;
+  if (!Number.isFinite(time) || typeof playing !== "boolean") return null;
+  if (playlistId !== null && !isShortString(playlistId, 200)) return null;
+  if (!Number.isInteger(index)) return null;
+  if (itemId !== null && !isShortString(itemId, 200) && !Number.isFinite(itemId)) return null;
+
+  const subtitles = entry.subtitles ?? [];
+  if (!Array.isArray(subtitles) || subtitles.length > 32) return null;
+  const subtitlesOk = subtitles.every(
+    (sub) =>
+      sub &&
+      isHttpUrl(sub.src) &&
+      (sub.lang === undefined || isShortString(sub.lang)) &&
+      (sub.label === undefined || isShortString(sub.label))
+  );
+  const optionalOk = ["title", "type", "projection", "stereo"].every(
+    (key) => entry[key] === undefined || entry[key] === null || isShortString(entry[key], 200)
+  );
+  if (!subtitlesOk || !optionalOk) return null;
+
+  return {
+    type: "state",
+    action,
+    entry: {
+      url: entry.url,
+      title: entry.title ?? undefined,
+      type: entry.type ?? undefined,
+      projection: entry.projection ?? undefined,
+      stereo: entry.stereo ?? undefined,
+      subtitles: subtitles.map(({ src, lang, label, default: isDefault }) => ({
+        src,
+        lang,
+        label,
+        default: isDefault === true,
+      })),
+    },
+    playlistId,
+    index,
+    itemId,
+    time,
+    playing,
+  };
+}
+
+// { head: [x, y, z, qx, qy, qz, qw], hands: { left?, right? } }
+function sanitizePose({ head, hands = {} }) {
+  if (!isPoseArray(head) || !hands || typeof hands !== "object") return null;
+  const pose = { type: "pose", head, hands: {} };
+  for (const side of ["left", "right"]) {
+    if (hands[side] === undefined) continue;
+    if (!isPoseArray(hands[side])) return null;
+    pose.hands[side] = hands[side];
+  }
+  return pose;
+}
+
+function isPoseArray(value) {
+  return Array.isArray(value) && value.length === 7 && value.every(Number.isFinite);
+}
+
+function isShortString(value, max = 64) {
+  return typeof value === "string" && value.length <= max;
+}
+
+function isHttpUrl(value) {
+  return typeof value === "string" && value.length <= 2048 && /^https?:\/\//i.test(value);
+}
+
+function joinRoom(client, { room: requested, name, host }) {
+  leaveRoom(client);
+  client.name = String(name || "Guest").slice(0, 32);
+
+  let code = String(requested || "").trim().toUpperCase();
+  let room = rooms.get(code);
+  if (host) {
+    if (!code) code = generateRoomCode();
+    if (!room) {
+      room = { code, hostId: client.id, clients: new Map(), state: null, nextSeat: 0 };
+      rooms.set(code, room);
+      log("Room", `${code} created by ${client.name}`);
+    }
+  } else if (!room) {
+    send(client, { type: "error", message: `No watch party with code '${code}'` });
+    return;
+  }
+
+  client.room = room;
+  client.seat = room.nextSeat++;
+  room.clients.set(client.id, client);
+
+  send(client, {
+    type: "welcome",
+    id: client.id,
+    room: room.code,
+    host: room.hostId,
+    seat: client.seat,
+    peers: [...room.clients.values()]
+      .filter((c) => c !== client)
+      .map((c) => ({ id: c.id, name: c.name, seat: c.seat })),
+    state: room.state,
+    serverTime: Date.now(),
+  });
+  broadcast(room, { type: "peer-join", id: client.id, name: client.name, seat: client.seat }, client);
+  log("Room", `${client.name} (${client.id}) joined ${room.code}`);
+}
+
+function leaveRoom(client) {
+  const room = client.room;
+  if (!room) return;
+  client.room = null;
+  room.clients.delete(client.id);
+  log("Room", `${client.name} (${client.id}) left ${room.code}`);
+
+  if (room.clients.size === 0) {
+    rooms.delete(room.code);
+    return;
+  }
+  broadcast(room, { type: "peer-leave", id: client.id });
+  if (room.hostId === client.id) {
+    // the longest-standing guest takes over the drift reference
+    room.hostId = room.clients.keys().next().value;
+    broadcast(room, { type: "host", id: room.hostId });
+  }
+}
+
+function broadcast(room, message, except) {
+  for (const client of room.clients.values()) {
+    if (client !== except) send(client, message);
+  }
+}
+
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from(
+      crypto.randomBytes(5),
+      (byte) => ROOM_CODE_CHARS[byte % ROOM_CODE_CHARS.length]
+    ).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+const server = http.createServer(serveStatic);
+server.on("upgrade", acceptUpgrade);
+server.listen(PORT, HOST, () => {
+  log("Server", `http://${HOST}:${PORT} (party socket at ws://${HOST}:${PORT}${WS_PATH})`);
+});